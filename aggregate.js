@@ -0,0 +1,191 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Validation of the options of Repository.aggregate and parser of the query parameters of the getAggregateData action.
+ *
+ * Query syntax (as parsed by Express from the query string):
+ *   fn=count                                         -> number of records
+ *   fn=sum&field=amount&groupBy=status,country       -> sum of amount per status and country
+ *   fn=avg&field=age&groupBy=role&having[gte]=30     -> groups whose average is at least 30
+ *   fn=count&groupBy=status&orderBy=value&orderDir=DESC
+ */
+
+const { HttpError } = require("./errors");
+const { FILTER_OPERATORS } = require("./filter");
+
+/**
+ * Supported aggregate functions.
+ * @type {Array<string>}
+ */
+const AGGREGATE_FUNCTIONS = ["sum", "avg", "min", "max", "count"];
+
+/**
+ * Filter operators accepted in the `having` query parameter.
+ * @type {Array<string>}
+ */
+const HAVING_OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "between"];
+
+/**
+ * Splits a list value given either as an array or as a comma-separated string.
+ * @param {string|Array<string>} value - The raw value.
+ * @returns {Array<string>} - The list of raw values.
+ */
+const toList = (value) => {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    return String(value).split(",").map(item => item.trim()).filter(item => item !== "");
+}
+
+/**
+ * Validates the options of an aggregation against the model attributes.
+ *
+ * @param {object|null} options - The aggregation options.
+ * @param {string} options.fn - The aggregate function (sum, avg, min, max or count).
+ * @param {string|null} [options.field=null] - The aggregated attribute. Optional for count, which then counts the records.
+ * @param {Array<string>|string} [options.groupBy=[]] - The attributes to group by.
+ * @param {*} [options.having=null] - Condition on the aggregated value (a value or Sequelize operators, e.g. `{ [Op.gte]: 10 }`).
+ * @param {Array<Array<string>>} [options.order=[]] - Order of the groups, as `[key, direction]` pairs where key is "value" or a groupBy attribute.
+ * @param {object} modelAttributes - The model attribute definitions (`Model.rawAttributes`).
+ * @returns {{fn: string, field: string|null, groupBy: Array<string>, having: *, order: Array<Array<string>>}} - The normalized options.
+ * @throws {HttpError} - 400 "InvalidAggregate" listing every invalid option.
+ */
+const normalizeAggregateOptions = (options, modelAttributes) => {
+    let { fn, field = null, groupBy = [], having = null, order = [] } = options || {};
+    let errors = [];
+
+    fn = String(fn || "").toLowerCase();
+
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+        errors.push({ field: "fn", message: `must be one of: ${AGGREGATE_FUNCTIONS.join(", ")}` });
+    }
+
+    if (field == null) {
+        if (fn !== "count") {
+            errors.push({ field: "field", message: "is required" });
+        }
+    } else if (!modelAttributes[field]) {
+        errors.push({ field: "field", message: `unknown attribute "${field}"` });
+    }
+
+    groupBy = [...new Set(toList(groupBy || []))];
+
+    groupBy.filter(column => !modelAttributes[column]).forEach(column => {
+        errors.push({ field: "groupBy", message: `unknown attribute "${column}"` });
+    });
+
+    order = (order || []).map(([key, direction = "ASC"]) => {
+        if (key !== "value" && !groupBy.includes(key)) {
+            errors.push({ field: "order", message: `"${key}" is neither "value" nor a groupBy attribute` });
+        }
+        return [key, String(direction).toUpperCase() === "DESC" ? "DESC" : "ASC"];
+    });
+
+    if (errors.length > 0) {
+        throw new HttpError(400, "InvalidAggregate", null, errors);
+    }
+
+    return { fn, field, groupBy, having, order };
+}
+
+/**
+ * Parses the query parameters of the getAggregateData action into aggregation options, within an allowlist.
+ *
+ * @param {object} query - The request query (fn, field, groupBy, having, orderBy, orderDir).
+ * @param {object|null} aggregations - Allowed functions keyed by attribute, e.g. `{ amount: ["sum", "avg"] }`.
+ * Counting the records (count without a field) is allowed whenever aggregations are configured. If null, nothing is allowed.
+ * @param {Array<string>|null} [groupableColumns=null] - Allowlist of the groupBy attributes. If null, grouping is disabled.
+ * @returns {object} - The aggregation options (see normalizeAggregateOptions).
+ * @throws {HttpError} - 400 "InvalidAggregate" listing every parameter that is not allowed or not valid.
+ *
+ * @example
+ * const options = parseAggregateQuery({ fn: "sum", field: "amount", groupBy: "status", having: { gte: "100" } }, { amount: ["sum"] }, ["status"]);
+ * // { fn: "sum", field: "amount", groupBy: ["status"], having: { [Op.gte]: 100 }, order: [] }
+ */
+const parseAggregateQuery = (query, aggregations, groupableColumns = null) => {
+    let { fn = "", field = null, groupBy = [], having = null, orderBy = null, orderDir = "DESC" } = query;
+    let errors = [];
+
+    fn = String(fn).toLowerCase();
+    field = field === "" ? null : field;
+
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+        errors.push({ field: "fn", message: `must be one of: ${AGGREGATE_FUNCTIONS.join(", ")}` });
+    } else if (field == null) {
+        if (fn !== "count") {
+            errors.push({ field: "field", message: "is required" });
+        } else if (!aggregations) {
+            errors.push({ field: "fn", message: "count is not allowed" });
+        }
+    } else if (!(aggregations?.[field] || []).includes(fn)) {
+        errors.push({ field: "field", message: `${fn} of "${field}" is not allowed` });
+    }
+
+    groupBy = toList(groupBy || []);
+
+    groupBy.filter(column => !(groupableColumns || []).includes(column)).forEach(column => {
+        errors.push({ field: "groupBy", message: `"${column}" cannot be grouped by` });
+    });
+
+    let havingCondition = null;
+
+    if (having != null && having !== "") {
+        // having=10 is shorthand for having[eq]=10
+        if (typeof having !== "object" || Array.isArray(having)) {
+            having = { eq: having };
+        }
+
+        havingCondition = {};
+
+        Object.entries(having).forEach(([operator, value]) => {
+            if (!HAVING_OPERATORS.includes(operator)) {
+                errors.push({ field: "having", message: `unsupported operator "${operator}"` });
+                return;
+            }
+
+            let values = operator === "between" ? toList(value) : [value];
+            let numbers = values.map(Number);
+
+            if ((operator === "between" && values.length !== 2) || values.some(item => typeof item !== "string" || item.trim() === "") || numbers.some(number => !Number.isFinite(number))) {
+                errors.push({ field: "having", message: operator === "between" ? "between requires exactly two numbers" : `${operator} must be a number` });
+                return;
+            }
+
+            havingCondition[FILTER_OPERATORS[operator]] = operator === "between" ? numbers : numbers[0];
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new HttpError(400, "InvalidAggregate", null, errors);
+    }
+
+    return {
+        fn,
+        field,
+        groupBy,
+        having: havingCondition,
+        order: orderBy ? [[orderBy, orderDir]] : [],
+    };
+}
+
+/**
+ * Converts an aggregated value returned by the database to a number when the driver returns it as a string
+ * (e.g. COUNT and SUM on PostgreSQL). DECIMAL sums and averages are kept as strings to keep their precision,
+ * and min and max keep the type of the attribute.
+ * @param {string} fn - The aggregate function.
+ * @param {*} value - The raw value.
+ * @param {object|null} attribute - The Sequelize definition of the aggregated attribute (null when counting records).
+ * @returns {*} - The converted value.
+ */
+const toAggregateValue = (fn, value, attribute) => {
+    if (typeof value !== "string") {
+        return value;
+    }
+
+    if (fn === "count" || ((fn === "sum" || fn === "avg") && attribute?.type?.key !== "DECIMAL")) {
+        return Number(value);
+    }
+
+    return value;
+}
+
+module.exports = { AGGREGATE_FUNCTIONS, normalizeAggregateOptions, parseAggregateQuery, toAggregateValue };
@@ -0,0 +1,136 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Opt-in audit trail recording who changed which record, when, and the field-level before/after values.
+ */
+
+const { DataTypes } = require("sequelize");
+const { isDeepEqual } = require("./patch");
+
+/**
+ * Audit actions.
+ * @type {{CREATE: string, UPDATE: string, DELETE: string, RESTORE: string}}
+ */
+const AUDIT_ACTIONS = {
+    CREATE: "create",
+    UPDATE: "update",
+    DELETE: "delete",
+    RESTORE: "restore",
+};
+
+/**
+ * Defines the Sequelize model storing the audit entries.
+ * @param {Sequelize} sequelize - The Sequelize instance.
+ * @param {object} [options={}] - Model options.
+ * @param {string} [options.modelName="AuditLog"] - Name of the model.
+ * @param {string} [options.tableName="audit_logs"] - Name of the table.
+ * @returns {Model} - The audit model.
+ * @example
+ * const AuditLog = defineAuditModel(sequelize);
+ * await AuditLog.sync();
+ */
+const defineAuditModel = (sequelize, options = {}) => {
+    let { modelName = "AuditLog", tableName = "audit_logs" } = options;
+
+    return sequelize.define(modelName, {
+        auditId: { type: DataTypes.BIGINT, autoIncrement: true, primaryKey: true },
+        entity: { type: DataTypes.STRING(100), allowNull: false },
+        entityId: { type: DataTypes.STRING(100), allowNull: false },
+        action: { type: DataTypes.STRING(20), allowNull: false },
+        before: { type: DataTypes.JSON, allowNull: true },
+        after: { type: DataTypes.JSON, allowNull: true },
+        actor: { type: DataTypes.STRING(100), allowNull: true },
+        createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+    }, {
+        tableName,
+        timestamps: false,
+        indexes: [{ fields: ["entity", "entityId"] }],
+    });
+}
+
+/**
+ * @class AuditTrail
+ * @description Writes and reads the audit entries of the repositories it is given to (Repository option `auditTrail`).
+ * Each entry holds the entity (model name), the primary key, the action, the before/after values of the changed fields,
+ * the actor and the timestamp. Entries are written in the transaction of the audited write.
+ *
+ * @example
+ * const auditTrail = new AuditTrail(defineAuditModel(sequelize), { excludeFields: ["password"] });
+ * const userRepository = new Repository(UserModel, "deleteFlag", true, null, { auditTrail });
+ */
+class AuditTrail {
+    #model = null;
+    #options = {
+        excludeFields: [],
+    };
+
+    /**
+     * @constructor
+     * @param {Model} model - The audit model, e.g. created with defineAuditModel.
+     * @param {object|null} [options=null] - Audit options.
+     * @param {Array<string>} [options.excludeFields=[]] - Fields never written to the audit entries (e.g. password hashes).
+     */
+    constructor(model, options = null) {
+        this.#model = model;
+        if (options) {
+            Object.assign(this.#options, options);
+        }
+    }
+
+    /**
+     * Computes the field-level differences between two versions of a record.
+     * @param {object|null} before - The values before the write, or null for a creation.
+     * @param {object|null} after - The values after the write, or null for a hard delete.
+     * @param {Array<string>} [ignoredFields=[]] - Fields to ignore in addition to the excluded fields (e.g. timestamps).
+     * @returns {{before: object|null, after: object|null}|null} - The changed fields before and after, or null when nothing changed.
+     */
+    diff = (before, after, ignoredFields = []) => {
+        let excluded = [...this.#options.excludeFields, ...ignoredFields];
+        let fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+            .filter(field => !excluded.includes(field))
+            .filter(field => !before || !after || !isDeepEqual(before[field] ?? null, after[field] ?? null));
+
+        if (before && after && fields.length === 0) {
+            return null;
+        }
+
+        let pick = (values) => values ? Object.fromEntries(fields.map(field => [field, values[field] ?? null])) : null;
+        return { before: pick(before), after: pick(after) };
+    }
+
+    /**
+     * Writes audit entries.
+     * @param {Array<{entity: string, entityId: *, action: string, before: object|null, after: object|null, actor: *}>} entries - The entries to write.
+     * @param {Transaction|null} [transaction=null] - The transaction of the audited write.
+     * @returns {Promise<Array<object>>} - The written entries.
+     */
+    record = async (entries, transaction = null) => {
+        if (entries.length === 0) {
+            return [];
+        }
+
+        let rows = entries.map(entry => ({
+            ...entry,
+            entityId: String(entry.entityId),
+            actor: entry.actor == null ? null : String(entry.actor),
+        }));
+
+        return await this.#model.bulkCreate(rows, { transaction });
+    }
+
+    /**
+     * Retrieves the audit entries of a record, most recent first.
+     * @param {string} entity - The entity (model name).
+     * @param {number|string} entityId - The primary key of the record.
+     * @param {Transaction|null} [transaction=null] - Optional transaction.
+     * @returns {Promise<Array<object>>} - The audit entries.
+     */
+    getHistory = async (entity, entityId, transaction = null) => {
+        return await this.#model.findAll({
+            where: { entity, entityId: String(entityId) },
+            order: [["createdAt", "DESC"], ["auditId", "DESC"]],
+            transaction
+        });
+    }
+}
+
+module.exports = { AuditTrail, defineAuditModel, AUDIT_ACTIONS };
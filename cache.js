@@ -0,0 +1,300 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Read cache used by the Repository for getDataById and the list queries, with pluggable stores.
+ *
+ * A store implements three async methods:
+ *   get(key)               -> the cached value, or undefined on a miss
+ *   set(key, value, ttl)   -> caches a JSON-compatible value for ttl seconds (no expiry when ttl is 0)
+ *   delete(key)
+ */
+
+const crypto = require("crypto");
+
+/**
+ * @class MemoryCacheStore
+ * @description In-process LRU store. Values are stored as JSON, like in an external store, so callers can never modify a cached value.
+ * @example
+ * const store = new MemoryCacheStore({ maxEntries: 5000 });
+ */
+class MemoryCacheStore {
+    #entries = new Map();
+    #options = {
+        maxEntries: 1000,
+    };
+
+    /**
+     * @constructor
+     * @param {object|null} [options=null] - Store options.
+     * @param {number} [options.maxEntries=1000] - Number of entries kept; the least recently used entries are evicted first.
+     */
+    constructor(options = null) {
+        if (options) {
+            Object.assign(this.#options, options);
+        }
+    }
+
+    /**
+     * Reads a value.
+     * @param {string} key - The key.
+     * @returns {Promise<*>} - The value, or undefined when missing or expired.
+     */
+    get = async (key) => {
+        let entry = this.#entries.get(key);
+
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.#entries.delete(key);
+            return undefined;
+        }
+
+        // Re-inserting moves the entry to the most recently used end of the map.
+        this.#entries.delete(key);
+        this.#entries.set(key, entry);
+
+        return JSON.parse(entry.value);
+    }
+
+    /**
+     * Writes a value.
+     * @param {string} key - The key.
+     * @param {*} value - The value.
+     * @param {number} [ttl=0] - Time to live in seconds. 0 keeps the value until it is evicted.
+     * @returns {Promise<void>}
+     */
+    set = async (key, value, ttl = 0) => {
+        this.#entries.delete(key);
+        this.#entries.set(key, { value: JSON.stringify(value), expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+
+        while (this.#entries.size > this.#options.maxEntries) {
+            this.#entries.delete(this.#entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Removes a value.
+     * @param {string} key - The key.
+     * @returns {Promise<void>}
+     */
+    delete = async (key) => {
+        this.#entries.delete(key);
+    }
+
+    /**
+     * Removes every value.
+     * @returns {Promise<void>}
+     */
+    clear = async () => {
+        this.#entries.clear();
+    }
+}
+
+/**
+ * @class RedisCacheStore
+ * @description Store backed by a Redis client with the ioredis interface (`get`, `set(key, value, "EX", seconds)`, `del`).
+ * Values are stored as JSON. Any object implementing these three methods can stand in for the client (e.g. in tests).
+ * @example
+ * const store = new RedisCacheStore(new Redis(process.env.REDIS_URL), { prefix: "api:" });
+ */
+class RedisCacheStore {
+    #client = null;
+    #options = {
+        prefix: "",
+    };
+
+    /**
+     * @constructor
+     * @param {object} client - The Redis client.
+     * @param {object|null} [options=null] - Store options.
+     * @param {string} [options.prefix=""] - Prefix added to every key.
+     */
+    constructor(client, options = null) {
+        this.#client = client;
+        if (options) {
+            Object.assign(this.#options, options);
+        }
+    }
+
+    /**
+     * Reads a value.
+     * @param {string} key - The key.
+     * @returns {Promise<*>} - The value, or undefined when missing.
+     */
+    get = async (key) => {
+        let value = await this.#client.get(this.#options.prefix + key);
+        return value == null ? undefined : JSON.parse(value);
+    }
+
+    /**
+     * Writes a value.
+     * @param {string} key - The key.
+     * @param {*} value - The value.
+     * @param {number} [ttl=0] - Time to live in seconds. 0 keeps the value until it is evicted.
+     * @returns {Promise<void>}
+     */
+    set = async (key, value, ttl = 0) => {
+        if (ttl) {
+            await this.#client.set(this.#options.prefix + key, JSON.stringify(value), "EX", ttl);
+        } else {
+            await this.#client.set(this.#options.prefix + key, JSON.stringify(value));
+        }
+    }
+
+    /**
+     * Removes a value.
+     * @param {string} key - The key.
+     * @returns {Promise<void>}
+     */
+    delete = async (key) => {
+        await this.#client.del(this.#options.prefix + key);
+    }
+}
+
+/**
+ * Shared store of the repositories that do not configure one.
+ * @type {MemoryCacheStore}
+ */
+const defaultCacheStore = new MemoryCacheStore();
+
+/**
+ * Serializes the parts of a cache key deterministically, including the operator symbols of Sequelize conditions.
+ * @param {*} value - The value to serialize.
+ * @returns {string} - The serialized value.
+ * @throws {Error} - If the value contains objects that cannot be serialized (e.g. `sequelize.literal`), which are never cached.
+ */
+const serializeKeyPart = (value) => {
+    if (value === undefined) {
+        return "undefined";
+    }
+
+    if (value === null || typeof value !== "object") {
+        return typeof value === "symbol" ? String(value) : JSON.stringify(value);
+    }
+
+    if (value instanceof Date) {
+        return `Date(${value.toISOString()})`;
+    }
+
+    if (Array.isArray(value)) {
+        return `[${value.map(serializeKeyPart).join(",")}]`;
+    }
+
+    let prototype = Object.getPrototypeOf(value);
+
+    if (prototype !== Object.prototype && prototype !== null) {
+        throw new Error("Value cannot be used in a cache key.");
+    }
+
+    let entries = Reflect.ownKeys(value)
+        .map(key => [typeof key === "symbol" ? String(key) : JSON.stringify(key), serializeKeyPart(value[key])])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+    return `{${entries.map(([key, part]) => `${key}:${part}`).join(",")}}`;
+}
+
+/**
+ * @class ReadCache
+ * @description Caches the results of the read queries of one model. Keys are derived from the query kind and its parts
+ * (id, condition, attributes, order, page). Invalidation switches the model to a new generation, so the entries of the
+ * previous generation are never read again and expire with their TTL; this works with any store, without key scans.
+ * @example
+ * const cache = new ReadCache({ store: new MemoryCacheStore(), ttl: 300, prefix: "Country" });
+ * const countries = await cache.remember("all", [condition], () => loadCountries());
+ */
+class ReadCache {
+    #options = {
+        store: defaultCacheStore,
+        ttl: 60,
+        prefix: "",
+    };
+
+    /**
+     * @constructor
+     * @param {object|null} [options=null] - Cache options.
+     * @param {object} [options.store=defaultCacheStore] - The store (MemoryCacheStore, RedisCacheStore or any object with get, set and delete).
+     * @param {number} [options.ttl=60] - Time to live of the entries, in seconds.
+     * @param {string} [options.prefix=""] - Namespace of the keys, usually the model name.
+     */
+    constructor(options = null) {
+        if (options) {
+            Object.assign(this.#options, options);
+        }
+    }
+
+    /**
+     * Returns the cached result of a query, or runs the query and caches its result.
+     * Queries whose parts cannot be serialized, and store failures, fall back to running the query.
+     * @param {string} kind - The kind of query (e.g. "byId", "all").
+     * @param {Array<*>} parts - The parts identifying the query.
+     * @param {Function} load - Async function running the query and returning a JSON-compatible result.
+     * @returns {Promise<*>} - The result.
+     */
+    remember = async (kind, parts, load) => {
+        let key;
+
+        try {
+            let hash = crypto.createHash("sha1").update(serializeKeyPart(parts)).digest("hex");
+            key = `${this.#options.prefix}:${await this.#getGeneration()}:${kind}:${hash}`;
+
+            let cached = await this.#options.store.get(key);
+            if (cached !== undefined) {
+                return cached;
+            }
+        } catch (error) {
+            return await load();
+        }
+
+        let value = await load();
+
+        try {
+            await this.#options.store.set(key, value, this.#options.ttl);
+        } catch (error) {
+            // The result is still valid; it is just not cached.
+        }
+
+        return value;
+    }
+
+    /**
+     * Invalidates every cached result of the model.
+     * @returns {Promise<void>}
+     */
+    invalidate = async () => {
+        try {
+            await this.#options.store.set(this.#getGenerationKey(), this.#createGeneration(), 0);
+        } catch (error) {
+            // Entries of the current generation expire with their TTL.
+        }
+    }
+
+    /**
+     * Reads the current generation, starting a new one when the store has none (first use or evicted).
+     * @returns {Promise<string>} - The generation.
+     */
+    #getGeneration = async () => {
+        let generation = await this.#options.store.get(this.#getGenerationKey());
+
+        if (generation === undefined) {
+            generation = this.#createGeneration();
+            await this.#options.store.set(this.#getGenerationKey(), generation, 0);
+        }
+
+        return generation;
+    }
+
+    /**
+     * Builds the key holding the current generation.
+     * @returns {string} - The key.
+     */
+    #getGenerationKey = () => `${this.#options.prefix}:generation`;
+
+    /**
+     * Creates a unique generation.
+     * @returns {string} - The generation.
+     */
+    #createGeneration = () => `${Date.now().toString(36)}${crypto.randomBytes(4).toString("hex")}`;
+}
+
+module.exports = { ReadCache, MemoryCacheStore, RedisCacheStore, defaultCacheStore };
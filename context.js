@@ -0,0 +1,33 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Async context shared by the kit calls of a single unit of work (e.g. the active transaction).
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Retrieves the values of the current async context.
+ * @returns {object} - The context values, or an empty object outside of any context.
+ */
+const getContext = () => storage.getStore() || {};
+
+/**
+ * Runs a callback in a child context, inheriting the values of the current context.
+ * Every kit call made inside the callback (including after `await`) sees the given values.
+ * @param {object} values - The values to add to (or override in) the current context.
+ * @param {Function} callback - The function to run.
+ * @returns {*} - The return value of the callback.
+ * @example
+ * await runWithContext({ transaction }, () => userService.saveData(data));
+ */
+const runWithContext = (values, callback) => storage.run({ ...getContext(), ...values }, callback);
+
+/**
+ * Retrieves the transaction started by the innermost `withTransaction` call, if any.
+ * @returns {Transaction|null} - The active transaction, or null.
+ */
+const getCurrentTransaction = () => getContext().transaction || null;
+
+module.exports = { getContext, runWithContext, getCurrentTransaction };
@@ -3,6 +3,17 @@
  * Controller class that manages HTTP request handling for CRUD operations.
  */
 
+const http = require("http");
+const { Op } = require("sequelize");
+const Repository = require("./repository");
+const { errorTranslator, HttpError, DataNotAvailableError } = require("./errors");
+const { applyMergePatch, applyJsonPatch, getChangedFields, PATCH_CONTENT_TYPES, JSON_PATCH_TYPE } = require("./patch");
+const { runWithContext, getContext } = require("./context");
+const { EXPORT_FORMATS } = require("./export");
+const { parseAggregateQuery } = require("./aggregate");
+const { toLogger, startTimer, resolveRequestId } = require("./logger");
+const { RESPONSE_FORMATTERS, toErrorCode } = require("./response");
+const { resolveLocale, matchLocale, interpolateMessage } = require("./locale");
 
 /**
  * @class Controller
@@ -11,6 +22,8 @@
  * @property {boolean} logEnable - Flag to enable or disable logging of errors.
  * @property {string|null} primaryKey - Primary key field name for data operations.
  * @property {object} message - Predefined set of messages for various CRUD operations and errors.
+ * @property {object} options - Controller options (error translator, ...).
+ * @property {Logger|null} logger - Logger of the action outcomes (if configured).
  * @example
  * const controller = new Controller(userService);
  */
@@ -18,6 +31,34 @@ class Controller {
     #service = null;
     #logEnable = false;
     #primaryKey = null;
+    #logger = null;
+    #failures = new WeakMap();
+    #formatter = null;
+    #options = {
+        errorTranslator,
+        filterableColumns: null,
+        creatableFields: null,
+        updatableFields: null,
+        unknownFields: "strip",
+        hiddenAttributes: [],
+        includableAssociations: null,
+        actorResolver: null,
+        tenantResolver: null,
+        policy: null,
+        exportColumns: null,
+        exportBatchSize: 1000,
+        aggregations: null,
+        groupableColumns: null,
+        logger: null,
+        requestIdHeader: "X-Request-Id",
+        responseFormatter: "envelope",
+        errorCodes: null,
+        messageCatalogs: null,
+        localeResolver: null,
+        defaultLocale: "en",
+        maxBatchSize: 100,
+        requireIfMatch: false,
+    };
 
     #message = {
         DataNotAvailable: "No data available. Please check your request.",
@@ -25,6 +66,9 @@ class Controller {
         DataDeleted: "Data deleted successfully.",
         DataUpdated: "Data updated successfully.",
         DataFetched: "Data fetched successfully.",
+        DataRestored: "Data restored successfully.",
+        DataForceDeleted: "Data permanently deleted successfully.",
+        BulkPartiallyCompleted: "Some records could not be processed. Please check the results.",
 
         // Data Error Messages
         DataExists: "Data already exists. Please check your request.",
@@ -34,6 +78,27 @@ class Controller {
         UnableToDeleteData: "Unable to delete data.",
         UnableToGetDataById: "Unable to get data by ID.",
         ForeignKeyConstraintError: "Invalid data: Please check the associated foreign keys.",
+        DataInUse: "Data is in use by other records and cannot be changed.",
+        ValidationError: "Invalid data: Please check the highlighted fields.",
+        InvalidFilter: "Invalid filter: Please check the filter parameters.",
+        InvalidCursor: "Invalid cursor: Please restart pagination from the first page.",
+        InvalidOrderBy: "Invalid orderBy: Please sort by one of the attributes of the data.",
+        UnknownFields: "Invalid data: Some fields cannot be written.",
+        InvalidFields: "Invalid fields: Please check the requested fields.",
+        InvalidInclude: "Invalid include: Please check the requested associations.",
+        InvalidBulkPayload: "Invalid data: Please send a non-empty list of records.",
+        BatchTooLarge: "Too many records in one request.",
+        VersionConflict: "The data was modified by another request. Please reload it and try again.",
+        PreconditionRequired: "The If-Match header is required for this request.",
+        TenantMismatch: "The data belongs to another tenant.",
+        TenantRequired: "Access denied: No tenant is associated with this request.",
+        AccessDenied: "Access denied: You are not allowed to perform this action.",
+        NotAcceptable: "Unsupported format: Please request CSV or NDJSON.",
+        InvalidAggregate: "Invalid aggregation: Please check the aggregation parameters.",
+        InvalidPatch: "Invalid patch: Please check the patch document.",
+        PatchNotApplicable: "Invalid patch: Some operations cannot be applied to this data.",
+        PatchTestFailed: "The data does not match the patch test operations.",
+        UnsupportedMediaType: "Unsupported content type: Please send JSON, a JSON merge patch or a JSON patch.",
 
         InternalServerError: "Server issue, try after some time.",
     };
@@ -43,14 +108,69 @@ class Controller {
      * @param {Service} service - The service instance responsible for handling data operations.
      * @param {boolean} [logEnable=false] - Enables logging of error messages.
      * @param {object|null} [messages=null] - Optional custom message object to override default messages.
+     * @param {object|null} [options=null] - Optional controller options.
+     * @param {ErrorTranslator} [options.errorTranslator] - Translator mapping thrown errors to statuses and message keys. Defaults to the shared translator.
+     * @param {Array<string>|null} [options.filterableColumns=null] - Columns that can be used in `filter[...]` query parameters. If null, filtering is disabled.
+     * @param {Array<string>|null} [options.creatableFields=null] - Fields accepted by saveData. If null, every model attribute except the read-only ones.
+     * @param {Array<string>|null} [options.updatableFields=null] - Fields accepted by updateData and patchData. If null, every model attribute except the read-only ones.
+     * @param {string} [options.unknownFields="strip"] - What to do with fields that are not writable: "strip" them silently or "reject" the request with 422.
+     * @param {Array<string>} [options.hiddenAttributes=[]] - Attributes that are never returned (e.g. password hashes), whatever the client asks for.
+     * @param {Array<string>|object|null} [options.includableAssociations=null] - Associations that can be eager loaded with the `include` query parameter,
+     * as a list of (dotted) association paths or an object mapping each path to extra Sequelize include options. If null, includes are disabled.
+     * @param {Function|null} [options.actorResolver=null] - Resolves who performs the request (e.g. `(req) => req.user.id`), recorded on soft deletes
+     * and in the audit trail.
+     * @param {Function|null} [options.tenantResolver=null] - Resolves the tenant of the request (e.g. `(req) => req.user.orgId`). Repositories with a
+     * tenantKey scope every query of the request to it. Requests without a tenant are rejected with 403.
+     * @param {object|null} [options.policy=null] - Authorization policy. Each rule may be async and returns whether the request is allowed;
+     * rules the policy does not define allow everything. Denied requests get 403 "AccessDenied".
+     * - `canCreate(req, data)`: saveData, saveBulkData and upsertData creating a record.
+     * - `canRead(req, record)`: getDataById and getAuditHistory.
+     * - `canUpdate(req, record, changes)`: updateData, patchData, upsertData replacing (or restoring) a record, updateBulkData and restoreData.
+     * - `canDelete(req, record)`: deleteData, deleteBulkData and forceDeleteData.
+     * - `scope(req)`: extra condition added to the list actions (getAllData, getAllDataWithPagination, getTrashedData, exportData, getAggregateData),
+     * which silently leave out the records it does not match.
+     * @param {Array<string>|object|null} [options.exportColumns=null] - Columns of exportData, as a list or an object mapping each column to its CSV header label.
+     * If null, every model attribute except the hidden ones, labelled with its name.
+     * @param {number} [options.exportBatchSize=1000] - Number of rows exportData reads per query.
+     * @param {object|null} [options.aggregations=null] - Aggregations exposed by getAggregateData: the allowed functions keyed by attribute
+     * (e.g. `{ amount: ["sum", "avg"], createdAt: ["min", "max"] }`). Counting the records is allowed whenever it is set. If null, every aggregation is rejected.
+     * @param {Array<string>|null} [options.groupableColumns=null] - Columns getAggregateData can group by. If null, grouping is disabled.
+     * @param {Logger|object|null} [options.logger=null] - Logger (a Logger, or a pino or winston logger) of the outcome of every action: action, model,
+     * primary key, status, duration and error class. Replaces the console logging of logEnable. createCrudRouter logs the actions it mounts;
+     * wrap hand-mounted actions with logAction.
+     * @param {string} [options.requestIdHeader="X-Request-Id"] - Header holding the correlation id of a request, logged as `requestId` by the controller,
+     * the service and the repository. A new id is created when the header is missing; it is sent back in the same response header.
+     * @param {string|object} [options.responseFormatter="envelope"] - How responses are written: "envelope" (`{ data, message, status }`),
+     * "problem" (RFC 7807 `application/problem+json` errors), "raw" (bare payloads), or a formatter object (see response.js).
+     * @param {object|null} [options.errorCodes=null] - Error codes overriding the default ones, keyed by message key. By default the code
+     * of a message key is its upper snake case (e.g. "DataNotAvailable" gives "DATA_NOT_AVAILABLE").
+     * @param {object|null} [options.messageCatalogs=null] - Response messages keyed by locale, then by message key
+     * (e.g. `{ hi: { DataNotAvailable: "..." }, mr: { ... } }`). Messages may contain the `{model}` and `{id}` placeholders.
+     * Keys missing from a catalog fall back to the messages of the controller (the English defaults and the messages argument).
+     * @param {Function|null} [options.localeResolver=null] - Resolves the preferred locale of a request (e.g. `(req) => req.user?.locale`).
+     * When it returns nothing or an unknown locale, the locale is negotiated from the `Accept-Language` header.
+     * @param {string} [options.defaultLocale="en"] - Locale of the messages of the controller, used when no catalog matches.
+     * @param {number} [options.maxBatchSize=100] - Maximum number of records accepted by the bulk actions.
+     * @param {boolean} [options.requireIfMatch=false] - Whether updateData, patchData and deleteData require an `If-Match` header (428 when missing) on versioned models.
      */
-    constructor(service, logEnable = false, messages = null) {
+    constructor(service, logEnable = false, messages = null, options = null) {
         this.#service = service;
         if (messages) {
             Object.assign(this.#message, messages);
         }
+        if (options) {
+            Object.assign(this.#options, options);
+        }
         this.#logEnable = logEnable;
         this.#primaryKey = service.getPrimaryKeyField();
+        this.#logger = toLogger(this.#options.logger);
+        this.#formatter = typeof this.#options.responseFormatter === "string"
+            ? RESPONSE_FORMATTERS[this.#options.responseFormatter]
+            : this.#options.responseFormatter;
+
+        if (!this.#formatter) {
+            throw new Error(`Unknown response formatter "${this.#options.responseFormatter}".`);
+        }
     }
 
     /**
@@ -61,8 +181,10 @@ class Controller {
      */
     saveData = async (req, res) => {
         try {
-            let data = req.body;
-            let saveData = await this.#service.saveData(data);
+            let data = this.#getWritableData(req.body, this.#options.creatableFields);
+            await this.#authorize("canCreate", req, data);
+
+            let saveData = this.#hideAttributes(await this.#service.saveData(data));
             return this.handleSuccess(res, { saveData }, 201, this.#message.DataCreated);
         } catch (error) {
             return this.handleError(res, error);
@@ -70,7 +192,11 @@ class Controller {
     }
 
     /**
-     * Updates existing data by ID.
+     * Updates existing data by ID. Under PUT the body replaces the record: writable fields it omits are reset to their defaults
+     * (hidden attributes excepted).
+     * Under any other method only the given fields are changed.
+     * On versioned models the `If-Match` header is checked against the record version
+     * (412 on a mismatch) and the new version is sent back in the `ETag` header.
      * @param {object} req - Express request object with data in req.body and ID in req.params.
      * @param {object} res - Express response object.
      * @returns {Promise<object>} - JSON response with updated data and success message.
@@ -78,14 +204,131 @@ class Controller {
     updateData = async (req, res) => {
         try {
             let { id } = req.params;
+            let expectedVersion = this.#getExpectedVersion(req);
             let existData = await this.#service.dataExists({ [this.#primaryKey]: id });
 
             if (!existData) {
-                return this.handleError(res, null, 400, this.#message.DataNotAvailable);
+                return this.handleError(res, null, 404, this.#message.DataNotAvailable);
+            }
+
+            let data = this.#getWritableData(req.body, this.#options.updatableFields);
+
+            if (req.method === "PUT") {
+                data = { ...this.#getResetValues(this.#options.updatableFields), ...data };
+            }
+
+            await this.#authorizeRecord("canUpdate", req, id, this.#service.getSoftDeleteOption(), data);
+
+            let updatedRecord = await this.#service.updateDataById(id, data, null, this.#service.getSoftDeleteOption(), expectedVersion);
+            this.#setETag(res, updatedRecord);
+
+            let updatedData = this.#hideAttributes(updatedRecord);
+            return this.handleSuccess(res, { updatedData }, 200, this.#message.DataUpdated);
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Creates or replaces the record with the ID of the URL (PUT semantics): the record is created when it does not exist
+     * (or is soft deleted), otherwise it is replaced as in updateData. A soft-deleted record is still checked with the canUpdate rule. Responds 201 when created, 200 when updated,
+     * with `created` telling which happened. With an `If-Match` header the record must exist at the expected version.
+     * @param {object} req - Express request object with data in req.body and ID in req.params.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with the saved data and whether it was created.
+     */
+    upsertData = async (req, res) => {
+        try {
+            let { id } = req.params;
+            let expectedVersion = this.#getExpectedVersion(req);
+            let existData = await this.#service.dataExists({ [this.#primaryKey]: id });
+            // A soft-deleted record is restored and overwritten by the upsert, so it is authorized as an update, like restoreData.
+            let storedData = existData || await this.#service.dataExists({ [this.#primaryKey]: id }, null, Repository.WITH_TRASHED);
+
+            let fields = existData ? this.#options.updatableFields : this.#options.creatableFields;
+            let data = {
+                ...this.#getResetValues(fields),
+                ...this.#getWritableData(req.body, fields),
+                [this.#primaryKey]: id,
+            };
+
+            if (storedData) {
+                await this.#authorizeRecord("canUpdate", req, id, Repository.WITH_TRASHED, data);
+            } else {
+                await this.#authorize("canCreate", req, data);
             }
 
-            let data = req.body;
-            let updatedData = await this.#service.updateDataById(id, data);
+            let record = null;
+            let created = false;
+
+            if (expectedVersion != null) {
+                record = await this.#service.updateDataById(id, data, null, this.#service.getSoftDeleteOption(), expectedVersion);
+            } else {
+                ({ data: record, created } = await this.#service.upsertData(data, [this.#primaryKey]));
+                // A soft-deleted record is restored by the upsert, but it did not exist for the client.
+                created = created || !existData;
+            }
+
+            this.#setETag(res, record);
+
+            let savedData = this.#hideAttributes(record);
+            return created
+                ? this.handleSuccess(res, { data: savedData, created }, 201, this.#message.DataCreated)
+                : this.handleSuccess(res, { data: savedData, created }, 200, this.#message.DataUpdated);
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Partially updates data by ID with a patch document chosen by the `Content-Type` header:
+     * - `application/merge-patch+json` (or `application/json`): JSON merge patch, `null` clears a field and objects are merged into JSON columns.
+     * - `application/json-patch+json`: JSON patch operations (add, remove, replace, test), with paths into JSON columns.
+     * The patch is applied to the current record and only the changed writable fields are saved.
+     * On versioned models `If-Match` and `ETag` are handled as in updateData.
+     * @param {object} req - Express request object with the patch in req.body and ID in req.params.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with updated data and success message.
+     */
+    patchData = async (req, res) => {
+        try {
+            let { id } = req.params;
+            let expectedVersion = this.#getExpectedVersion(req);
+
+            if (req.is(["application/json", ...PATCH_CONTENT_TYPES]) === false) {
+                throw new HttpError(415, "UnsupportedMediaType");
+            }
+
+            let record = await this.#service.getDataById(id, null, null, this.#service.getSoftDeleteOption());
+
+            if (!record) {
+                return this.handleError(res, null, 404, this.#message.DataNotAvailable);
+            }
+
+            let document = typeof record.get === "function" ? record.get({ plain: true }) : { ...record };
+            (this.#options.hiddenAttributes || []).forEach(attribute => delete document[attribute]);
+
+            let patched;
+
+            if (req.is(JSON_PATCH_TYPE)) {
+                patched = applyJsonPatch(document, req.body);
+            } else {
+                let patch = req.body ?? {};
+
+                if (patch === null || typeof patch !== "object" || Array.isArray(patch)) {
+                    throw new HttpError(400, "InvalidPatch", null, [{ field: "body", message: "must be an object" }]);
+                }
+
+                patched = applyMergePatch(document, patch);
+            }
+
+            let data = this.#getWritableData(getChangedFields(document, patched), this.#options.updatableFields);
+            await this.#authorize("canUpdate", req, record, data);
+
+            let updatedRecord = await this.#service.updateDataById(id, data, null, this.#service.getSoftDeleteOption(), expectedVersion);
+            this.#setETag(res, updatedRecord);
+
+            let updatedData = this.#hideAttributes(updatedRecord);
             return this.handleSuccess(res, { updatedData }, 200, this.#message.DataUpdated);
         } catch (error) {
             return this.handleError(res, error);
@@ -93,7 +336,7 @@ class Controller {
     }
 
     /**
-     * Deletes data by ID.
+     * Deletes data by ID. On versioned models the `If-Match` header is checked against the record version (412 on a mismatch).
      * @param {object} req - Express request object with ID in req.params.
      * @param {object} res - Express response object.
      * @returns {Promise<object>} - JSON response with success message if data is deleted.
@@ -101,13 +344,15 @@ class Controller {
     deleteData = async (req, res) => {
         try {
             let { id } = req.params;
+            let expectedVersion = this.#getExpectedVersion(req);
             let existData = await this.#service.dataExists({ [this.#primaryKey]: id });
 
             if (!existData) {
-                return this.handleError(res, null, 400, this.#message.DataNotAvailable);
+                return this.handleError(res, null, 404, this.#message.DataNotAvailable);
             }
 
-            await this.#service.deleteDataById(id);
+            await this.#authorizeRecord("canDelete", req, id, this.#service.getSoftDeleteOption());
+            await this.#service.deleteDataById(id, null, this.#service.getSoftDeleteOption(), this.#resolveActor(req), expectedVersion);
             return this.handleSuccess(res, {}, 200, this.#message.DataDeleted);
         } catch (error) {
             return this.handleError(res, error);
@@ -115,20 +360,31 @@ class Controller {
     }
 
     /**
-     * Fetches data by ID.
-     * @param {object} req - Express request object with ID in req.params.
+     * Fetches data by ID. The returned attributes can be selected with the `fields` query parameter (e.g. `fields=id,name`)
+     * and associations eager loaded with the `include` query parameter (e.g. `include=author,comments.author`).
+     * On versioned models the record version is sent in the `ETag` header.
+     * @param {object} req - Express request object with ID in req.params and optional fields in req.query.
      * @param {object} res - Express response object.
      * @returns {Promise<object>} - JSON response with fetched data.
      */
     getDataById = async (req, res) => {
         try {
             let { id } = req.params;
-            let data = await this.#service.getDataById(id);
+            let attributes = this.#getRequestedAttributes(req);
+            let include = this.#getRequestedInclude(req);
+
+            // The rule sees the whole record, whatever fields are requested.
+            await this.#authorizeRecord("canRead", req, id, this.#service.getSoftDeleteOption());
+
+            let record = await this.#service.getDataById(id, attributes, null, this.#service.getSoftDeleteOption(), include);
 
-            if (!data) {
-                return this.handleError(res, null, 400, this.#message.DataNotAvailable);
+            if (!record) {
+                return this.handleError(res, null, 404, this.#message.DataNotAvailable);
             }
 
+            this.#setETag(res, record);
+
+            let data = this.#hideAttributes(record);
             return this.handleSuccess(res, { data });
         } catch (error) {
             return this.handleError(res, error);
@@ -137,14 +393,18 @@ class Controller {
 
 
     /**
-     * Fetches all data.
-     * @param {object} req - Express request object.
+     * Fetches all data, optionally filtered with `filter[...]` query parameters, restricted to the `fields` query parameter
+     * and with the associations of the `include` query parameter.
+     * @param {object} req - Express request object with optional filters in req.query.filter and fields in req.query.fields.
      * @param {object} res - Express response object.
      * @returns {Promise<object>} - JSON response with all fetched data.
      */
     getAllData = async (req, res) => {
         try {
-            let data = await this.#service.getAllData();
+            let condition = await this.#applyPolicyScope(req, this.#service.getFilterCondition(req.query.filter, this.#options.filterableColumns));
+            let attributes = this.#getRequestedAttributes(req);
+            let include = this.#getRequestedInclude(req);
+            let data = this.#hideAttributes(await this.#service.getAllData(condition, attributes, this.#primaryKey, "DESC", null, this.#service.getSoftDeleteOption(), include));
             return this.handleSuccess(res, { data });
         } catch (error) {
             return this.handleError(res, error);
@@ -152,16 +412,32 @@ class Controller {
     }
 
     /**
-     * Fetches paginated data with optional sorting and filtering.
+     * Fetches paginated data with optional sorting, searching and filtering (`filter[column][operator]=value`).
+     * When a `cursor` query parameter is present (it may be empty for the first page), keyset pagination is used instead of
+     * page numbers and the response contains `nextCursor`/`prevCursor`. Pass `withCount=false` to skip the total count.
+     * The returned attributes can be selected with the `fields` query parameter and associations loaded with `include`.
      * @param {object} req - Express request object with pagination, sorting, and filtering info in req.query.
      * @param {object} res - Express response object.
      * @returns {Promise<object>} - JSON response with paginated data.
      */
     getAllDataWithPagination = async (req, res) => {
         try {
-            let { page = 1, limit = 10, orderBy = this.#primaryKey, orderDir = "DESC", searchBy = "", searchColumns = [] } = req.query;
+            let data = await this.#getPaginatedData(req, this.#service.getSoftDeleteOption());
+            return this.handleSuccess(res, { data });
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
 
-            let data = await this.#service.getDataWithPagination({}, +page, +limit, null, orderBy, orderDir, searchBy, searchColumns);
+    /**
+     * Fetches paginated soft-deleted data. Accepts the same query parameters as getAllDataWithPagination.
+     * @param {object} req - Express request object with pagination, sorting, and filtering info in req.query.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with paginated soft-deleted data.
+     */
+    getTrashedData = async (req, res) => {
+        try {
+            let data = await this.#getPaginatedData(req, Repository.ONLY_TRASHED);
             return this.handleSuccess(res, { data });
         } catch (error) {
             return this.handleError(res, error);
@@ -169,29 +445,393 @@ class Controller {
     }
 
     /**
-     * Handles errors and sends error responses.
+     * Restores soft-deleted data by ID.
+     * @param {object} req - Express request object with ID in req.params.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with restored data and success message.
+     */
+    restoreData = async (req, res) => {
+        try {
+            let { id } = req.params;
+            await this.#authorizeRecord("canUpdate", req, id, Repository.ONLY_TRASHED, {});
+
+            let restoredData = this.#hideAttributes(await this.#service.restoreDataById(id));
+            return this.handleSuccess(res, { restoredData }, 200, this.#message.DataRestored);
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Permanently deletes data by ID, whether it is soft deleted or not.
+     * @param {object} req - Express request object with ID in req.params.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with success message if data is deleted.
+     */
+    forceDeleteData = async (req, res) => {
+        try {
+            let { id } = req.params;
+            await this.#authorizeRecord("canDelete", req, id, Repository.WITH_TRASHED);
+            await this.#service.forceDeleteDataById(id);
+            return this.handleSuccess(res, {}, 200, this.#message.DataForceDeleted);
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Streams the records matching the list parameters (`filter[...]`, `searchBy`, `searchColumns`, `orderBy`, `orderDir`) as CSV
+     * or NDJSON, chosen by the `format` query parameter (`csv`, `ndjson`) or the `Accept` header, CSV by default.
+     * The `fields` query parameter selects the columns among the exportColumns option. Rows are read in keyset batches and
+     * written as the client consumes them; reading stops when the client disconnects.
+     * @param {object} req - Express request object with the list parameters and the format in req.query.
+     * @param {object} res - Express response object.
+     * @returns {Promise<void>}
+     */
+    exportData = async (req, res) => {
+        try {
+            let format = this.#getExportFormat(req);
+            let columns = this.#getExportColumns(req);
+            let { orderDir = "DESC", searchBy = "", searchColumns = [] } = req.query;
+            let orderBy = this.#getOrderBy(req);
+
+            searchColumns = await this.#getSearchColumns(searchBy, searchColumns);
+
+            let condition = await this.#applyPolicyScope(req, this.#service.getFilterCondition(req.query.filter, this.#options.filterableColumns));
+            let attributes = columns.map(({ column }) => column);
+            let batchSize = this.#options.exportBatchSize;
+
+            let fetchBatch = async (cursor) => await this.#service.getDataWithCursor({ ...condition }, cursor, batchSize, attributes, orderBy, orderDir,
+                searchBy, searchColumns, false, null, this.#service.getSoftDeleteOption());
+
+            // The close listener goes first: a client may disconnect while the first batch is read.
+            let closed = false;
+
+            res.on("close", () => {
+                closed = true;
+            });
+
+            // The first batch is read before the headers are sent, so that an invalid request still gets an error response.
+            let batch = await fetchBatch(null);
+
+            if (closed) {
+                return;
+            }
+
+            res.status(200);
+            res.setHeader("Content-Type", format.contentType);
+            res.setHeader("Content-Disposition", `attachment; filename="${this.#service.getModelName()}.${format.extension}"`);
+
+            let chunk = format.header(columns);
+
+            while (!closed) {
+                chunk += batch.data
+                    .map(row => format.row(typeof row?.get === "function" ? row.get({ plain: true }) : row, columns))
+                    .join("");
+
+                await this.#writeChunk(res, chunk);
+                chunk = "";
+
+                if (!batch.nextCursor || closed) {
+                    break;
+                }
+
+                batch = await fetchBatch(batch.nextCursor);
+            }
+
+            if (!closed) {
+                res.end();
+            }
+        } catch (error) {
+            if (res.headersSent) {
+                // The status is already sent: abort the response so that the client sees an incomplete export.
+                res.destroy(error);
+                return;
+            }
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Computes an aggregation allowed by the aggregations option: `fn` (sum, avg, min, max, count), `field`, `groupBy`
+     * (comma-separated groupable columns), `having[operator]=number`, `orderBy` ("value" or a groupBy column) and `orderDir`.
+     * The filter and the policy scope of the list actions apply. Responds with one `{ ...groupBy columns, value }` object per group
+     * (a single `{ value }` object without groupBy).
+     * @param {object} req - Express request object with the aggregation and filtering info in req.query.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with the aggregated groups.
+     */
+    getAggregateData = async (req, res) => {
+        try {
+            let options = parseAggregateQuery(req.query, this.#options.aggregations, this.#options.groupableColumns);
+            let condition = await this.#applyPolicyScope(req, this.#service.getFilterCondition(req.query.filter, this.#options.filterableColumns));
+            let value = await this.#service.aggregate(condition, options, null, this.#service.getSoftDeleteOption());
+            let data = options.groupBy.length > 0 ? value : [{ value }];
+            return this.handleSuccess(res, { data });
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Fetches the audit history of a record, most recent first. Requires the `auditTrail` repository option.
+     * The hidden attributes are removed from the before and after values of every entry.
+     * @param {object} req - Express request object with ID in req.params.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with the audit entries.
+     */
+    getAuditHistory = async (req, res) => {
+        try {
+            let { id } = req.params;
+            await this.#authorizeRecord("canRead", req, id, Repository.WITH_TRASHED);
+
+            let history = (await this.#service.getAuditHistory(id)).map(entry => {
+                let values = typeof entry.toJSON === "function" ? entry.toJSON() : { ...entry };
+                return { ...values, before: this.#hideAttributes(values.before), after: this.#hideAttributes(values.after) };
+            });
+            return this.handleSuccess(res, { data: history });
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Creates multiple records. The body is an array of records (or `{ items: [...] }`).
+     * With `?mode=atomic` (default) all records are created in one transaction or none is; with `?mode=bestEffort`
+     * each record is created on its own and the response reports the result of every item by index.
+     * @param {object} req - Express request object with the records in req.body and the mode in req.query.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with the per-item results.
+     */
+    saveBulkData = async (req, res) => {
+        try {
+            let items = Array.isArray(req.body) ? req.body : req.body?.items;
+
+            return await this.#processBulk(req, res, items, async (item) => {
+                let data = this.#getWritableData(item, this.#options.creatableFields);
+                await this.#authorize("canCreate", req, data);
+
+                return this.#hideAttributes(await this.#service.saveData(data));
+            }, 201, this.#message.DataCreated);
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Updates multiple records. The body is an array of records containing their primary key (or `{ items: [...] }`).
+     * Supports the same `mode` query parameter as saveBulkData.
+     * @param {object} req - Express request object with the records in req.body and the mode in req.query.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with the per-item results.
+     */
+    updateBulkData = async (req, res) => {
+        try {
+            let items = Array.isArray(req.body) ? req.body : req.body?.items;
+
+            return await this.#processBulk(req, res, items, async (item) => {
+                let id = item?.[this.#primaryKey];
+
+                if (id == null) {
+                    throw new HttpError(422, "ValidationError", null, [{ field: this.#primaryKey, message: "is required" }]);
+                }
+
+                let versionKey = this.#service.getVersionKey();
+                let expectedVersion = versionKey ? item[versionKey] : null;
+
+                let data = this.#getWritableData(item, this.#options.updatableFields);
+                await this.#authorizeRecord("canUpdate", req, id, this.#service.getSoftDeleteOption(), data);
+
+                return this.#hideAttributes(await this.#service.updateDataById(id, data, null, this.#service.getSoftDeleteOption(), expectedVersion));
+            }, 200, this.#message.DataUpdated);
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Deletes multiple records. The body is an array of IDs (or `{ ids: [...] }`).
+     * Supports the same `mode` query parameter as saveBulkData.
+     * @param {object} req - Express request object with the IDs in req.body and the mode in req.query.
+     * @param {object} res - Express response object.
+     * @returns {Promise<object>} - JSON response with the per-item results.
+     */
+    deleteBulkData = async (req, res) => {
+        try {
+            let ids = Array.isArray(req.body) ? req.body : req.body?.ids;
+            let actor = this.#resolveActor(req);
+
+            return await this.#processBulk(req, res, ids, async (id) => {
+                await this.#authorizeRecord("canDelete", req, id, this.#service.getSoftDeleteOption());
+                await this.#service.deleteDataById(id, null, this.#service.getSoftDeleteOption(), actor);
+                return { [this.#primaryKey]: id };
+            }, 200, this.#message.DataDeleted);
+        } catch (error) {
+            return this.handleError(res, error);
+        }
+    }
+
+    /**
+     * Express middleware running the rest of the request in a context holding the actor resolved with the actorResolver
+     * option, so that every write of the request is attributed to it (e.g. in the audit trail), and the tenant resolved
+     * with the tenantResolver option, so that every query of the request is scoped to it. Mounted by createCrudRouter.
+     * @param {object} req - Express request object.
+     * @param {object} res - Express response object.
+     * @param {Function} next - Next middleware.
+     * @returns {*} - The result of next.
+     */
+    requestContext = (req, res, next) => {
+        let context = { actor: this.#resolveActor(req) };
+
+        if (this.#options.tenantResolver) {
+            let tenantId = this.#options.tenantResolver(req);
+
+            if (tenantId == null) {
+                return this.handleError(res, new HttpError(403, "TenantRequired"));
+            }
+
+            context.tenantId = tenantId;
+        }
+
+        return runWithContext(context, next);
+    }
+
+    /**
+     * Wraps an action so that its outcome is logged once the response is sent (or the client disconnected): info for successes,
+     * warn for client errors and error (with the error) for server errors. The action runs in a context holding the correlation id
+     * of the request, so that the entries of the service and the repository carry it too. Applied by createCrudRouter to the actions it mounts.
+     * @param {string} action - The action name.
+     * @param {Function} handler - The action.
+     * @returns {Function} - The wrapped action, or the action itself when no logger is configured.
+     * @example
+     * router.get("/", userController.requestContext, userController.logAction("getAllData", userController.getAllData));
+     */
+    logAction = (action, handler) => {
+        if (!this.#logger) {
+            return handler;
+        }
+
+        return (req, res, next) => {
+            let requestId = getContext().requestId || resolveRequestId(req, this.#options.requestIdHeader);
+            let stopTimer = startTimer();
+            let logged = false;
+
+            let log = () => {
+                if (logged) {
+                    return;
+                }
+                logged = true;
+
+                let error = this.#failures.get(res);
+                let status = res.statusCode;
+                let fields = {
+                    requestId,
+                    action,
+                    model: this.#service.getModelName(),
+                    pk: req.params?.id,
+                    status,
+                    duration: stopTimer(),
+                    errorClass: error?.constructor?.name,
+                    aborted: res.writableFinished ? undefined : true,
+                };
+
+                if (status >= 500) {
+                    this.#logger.error({ ...fields, err: error }, `${fields.model} ${action} failed`);
+                } else if (status >= 400) {
+                    this.#logger.warn(fields, `${fields.model} ${action} rejected`);
+                } else {
+                    this.#logger.info(fields, `${fields.model} ${action} completed`);
+                }
+            };
+
+            res.once("finish", log);
+            res.once("close", log);
+
+            if (!res.headersSent) {
+                res.setHeader(this.#options.requestIdHeader, requestId);
+            }
+
+            return runWithContext({ requestId }, () => handler(req, res, next));
+        };
+    }
+
+    /**
+     * Describes the resource exposed by the controller (model, attributes and the fields clients can filter, write, read and include),
+     * e.g. to generate API documentation.
+     * @returns {{modelName: string, primaryKey: string, attributes: object, readOnlyFields: Array<string>, creatableFields: Array<string>,
+     * updatableFields: Array<string>, hiddenAttributes: Array<string>, filterableColumns: Array<string>, aggregations: object,
+     * groupableColumns: Array<string>, includableAssociations: Array<string>, versionKey: string|null, responseFormatter: string}} - The description.
+     */
+    describe = () => {
+        let includable = this.#options.includableAssociations || [];
+
+        return {
+            modelName: this.#service.getModelName(),
+            primaryKey: this.#primaryKey,
+            attributes: this.#service.getModelAttributes(),
+            readOnlyFields: this.#service.getReadOnlyFields(),
+            creatableFields: this.#getWritableFields(this.#options.creatableFields),
+            updatableFields: this.#getWritableFields(this.#options.updatableFields),
+            hiddenAttributes: this.#options.hiddenAttributes || [],
+            filterableColumns: this.#options.filterableColumns || [],
+            aggregations: this.#options.aggregations || {},
+            groupableColumns: this.#options.groupableColumns || [],
+            responseFormatter: typeof this.#options.responseFormatter === "string" ? this.#options.responseFormatter : "custom",
+            includableAssociations: Array.isArray(includable) ? includable : Object.keys(includable),
+            versionKey: this.#service.getVersionKey(),
+        };
+    }
+
+    /**
+     * Handles errors and sends error responses with the response formatter, including the error code of the message key.
+     * When no status is given, the error is translated by the error translator (e.g. UniqueConstraintError to 409 "DataExists"),
+     * and unknown errors fall back to 500 with the InternalServerError message.
+     * When a status and a message are given, the message key is the one the message is registered under.
+     * The message is sent in the locale of the request (see the messageCatalogs option).
      * @param {object} res - Express response object.
      * @param {Error|null} error - Optional error object.
-     * @param {number} [status=500] - HTTP status code.
-     * @param {string} [message=this.message.InternalServerError] - Error message to be sent.
+     * @param {number|null} [status=null] - HTTP status code, defaults to the translated status or 500.
+     * @param {string|null} [message=null] - Error message to be sent, defaults to the translated message or this.message.InternalServerError.
      * @returns {object} - JSON response with error details.
      */
-    handleError = (res, error, status = 500, message = this.#message.InternalServerError) => {
-        if (this.#logEnable && error) {
+    handleError = (res, error, status = null, message = null) => {
+        if (this.#logger && error) {
+            this.#failures.set(res, error);
+        } else if (this.#logEnable && error) {
             console.log("Message: ", error.message);
             console.log("Stack: ", error.stack);
         }
 
-        return res.status(status).json({
-            data: {},
-            message,
-            status
-        });
+        let errors = null;
+        let messageKey = message ? this.#getMessageKey(message) : null;
+        // The message is localized from its own key when the caller gives one, the error code always comes from the error.
+        let localizedKey = messageKey;
+
+        if (status == null && error) {
+            let translated = this.#translateError(error);
+            status = translated.status;
+            messageKey = translated.messageKey;
+            localizedKey = message ? localizedKey : messageKey;
+            message = message || translated.message;
+            errors = translated.errors;
+        }
+
+        status = status || 500;
+
+        if (!message) {
+            message = this.#message.InternalServerError;
+            messageKey = localizedKey = "InternalServerError";
+        }
+
+        message = this.#localizeMessage(res, localizedKey, message);
+
+        return this.#formatter.error(res, { status, code: this.#getErrorCode(messageKey, status), messageKey, message, errors });
     }
 
 
     /**
-     * Handles successful operations and sends success responses.
+     * Handles successful operations and sends success responses with the response formatter,
+     * with the message in the locale of the request (see the messageCatalogs option).
      * @param {object} res - Express response object.
      * @param {object} data - Data to be sent in the response.
      * @param {number} [status=200] - HTTP status code.
@@ -199,11 +839,579 @@ class Controller {
      * @returns {object} - JSON response with success details.
      */
     handleSuccess = (res, data, status = 200, message = this.#message.DataFetched) => {
-        return res.status(status).json({
-            data,
-            message,
-            status
+        message = this.#localizeMessage(res, this.#getMessageKey(message), message);
+        return this.#formatter.success(res, { data, status, message });
+    }
+
+    /**
+     * Finds the key a message is registered under in the messages of the controller.
+     * @param {string} message - The message.
+     * @returns {string|null} - The message key, or null for messages that are not registered.
+     */
+    #getMessageKey = (message) => {
+        return Object.keys(this.#message).find(key => this.#message[key] === message) || null;
+    }
+
+    /**
+     * Resolves a message in the locale of the request (see the messageCatalogs option) and replaces its `{model}` and `{id}`
+     * placeholders. The Content-Language and Vary headers of the response are set when catalogs are configured.
+     * @param {object} res - Express response object.
+     * @param {string|null} messageKey - The key of the message, or null for messages that are not registered.
+     * @param {string} message - The message of the controller, used when the catalog of the locale has no message under the key.
+     * @returns {string} - The localized message.
+     */
+    #localizeMessage = (res, messageKey, message) => {
+        let req = res.req;
+        let catalogs = this.#options.messageCatalogs;
+
+        if (catalogs) {
+            let locale = resolveLocale(req, Object.keys(catalogs), this.#options.localeResolver, this.#options.defaultLocale);
+            let catalog = catalogs[locale] || catalogs[matchLocale(locale, Object.keys(catalogs))] || {};
+
+            if (messageKey && catalog[messageKey] != null) {
+                message = catalog[messageKey];
+            }
+
+            if (!res.headersSent) {
+                res.setHeader("Content-Language", locale);
+                res.vary?.("Accept-Language");
+            }
+        }
+
+        return interpolateMessage(message, { model: this.#service.getModelName(), id: req?.params?.id });
+    }
+
+    /**
+     * Translates an error into its status, message key, message and field-level errors with the error translator.
+     * @param {Error} error - The error to translate.
+     * @returns {{status: number, messageKey: string|null, message: string, errors: Array<object>|null}} - The translation,
+     * 500 InternalServerError for unknown errors.
+     */
+    #translateError = (error) => {
+        let translated = this.#options.errorTranslator.translate(error);
+
+        if (!translated) {
+            return { status: 500, messageKey: "InternalServerError", message: this.#message.InternalServerError, errors: null };
+        }
+
+        return {
+            status: translated.status,
+            messageKey: translated.messageKey || null,
+            message: this.#message[translated.messageKey] || translated.message || this.#message.InternalServerError,
+            errors: translated.errors,
+        };
+    }
+
+    /**
+     * Runs a bulk action on every item, either atomically (one transaction, the first failure aborts everything
+     * and is reported with its index) or best-effort (every item on its own, with a per-item report).
+     * @param {object} req - Express request object with the mode in req.query.
+     * @param {object} res - Express response object.
+     * @param {Array<*>} items - The items to process.
+     * @param {Function} handler - Async function processing one item and returning its result.
+     * @param {number} status - HTTP status code when every item succeeds.
+     * @param {string} message - Success message when every item succeeds.
+     * @returns {Promise<object>} - JSON response with the per-item results.
+     * @throws {HttpError} - 422 "InvalidBulkPayload" or 413 "BatchTooLarge" for an invalid batch, or the error of the failing item in atomic mode.
+     */
+    #processBulk = async (req, res, items, handler, status, message) => {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new HttpError(422, "InvalidBulkPayload");
+        }
+
+        if (items.length > this.#options.maxBatchSize) {
+            throw new HttpError(413, "BatchTooLarge", null, [{ field: "items", message: `must contain at most ${this.#options.maxBatchSize} records` }]);
+        }
+
+        if (req.query.mode !== "bestEffort") {
+            let results = await this.#service.withTransaction(async () => {
+                let results = [];
+
+                for (let index = 0; index < items.length; index++) {
+                    try {
+                        results.push({ index, status: "success", data: await handler(items[index]) });
+                    } catch (error) {
+                        let translated = this.#translateError(error);
+                        throw new HttpError(translated.status, translated.messageKey, translated.message, [{ index, errors: translated.errors }]);
+                    }
+                }
+
+                return results;
+            });
+
+            return this.handleSuccess(res, { results, succeeded: results.length, failed: 0 }, status, message);
+        }
+
+        let results = [];
+
+        for (let index = 0; index < items.length; index++) {
+            try {
+                results.push({ index, status: "success", data: await handler(items[index]) });
+            } catch (error) {
+                let translated = this.#translateError(error);
+                results.push({
+                    index,
+                    status: "error",
+                    error: {
+                        status: translated.status,
+                        code: this.#getErrorCode(translated.messageKey, translated.status),
+                        message: this.#localizeMessage(res, translated.messageKey, translated.message),
+                        errors: translated.errors,
+                    },
+                });
+            }
+        }
+
+        let failed = results.filter(result => result.status === "error").length;
+
+        if (failed > 0) {
+            return this.handleSuccess(res, { results, succeeded: results.length - failed, failed }, 207, this.#message.BulkPartiallyCompleted);
+        }
+
+        return this.handleSuccess(res, { results, succeeded: results.length, failed }, status, message);
+    }
+
+    /**
+     * Resolves the stable error code of a message key, from the errorCodes option or else the upper snake case of the key.
+     * Errors without a message key get the code of their HTTP status phrase (e.g. "NOT_FOUND").
+     * @param {string|null} messageKey - The message key.
+     * @param {number} status - The HTTP status code.
+     * @returns {string} - The error code.
+     */
+    #getErrorCode = (messageKey, status) => {
+        if (messageKey && this.#options.errorCodes?.[messageKey]) {
+            return this.#options.errorCodes[messageKey];
+        }
+        return toErrorCode(messageKey || http.STATUS_CODES[status] || "Error");
+    }
+
+    /**
+     * Fetches a page of data for the list endpoints, using keyset pagination when a `cursor` query parameter is present.
+     * @param {object} req - Express request object with pagination, sorting, and filtering info in req.query.
+     * @param {boolean|string} softDeleteOption - The soft-delete read mode.
+     * @returns {Promise<object>} - The page of data.
+     */
+    #getPaginatedData = async (req, softDeleteOption) => {
+        let { page = 1, limit = 10, orderDir = "DESC", searchBy = "", searchColumns = [], cursor, withCount = "true" } = req.query;
+        let orderBy = this.#getOrderBy(req);
+
+        searchColumns = await this.#getSearchColumns(searchBy, searchColumns);
+
+        let condition = await this.#applyPolicyScope(req, this.#service.getFilterCondition(req.query.filter, this.#options.filterableColumns));
+        let attributes = this.#getRequestedAttributes(req);
+        let include = this.#getRequestedInclude(req);
+        let data;
+
+        if (cursor !== undefined) {
+            data = await this.#service.getDataWithCursor(condition, cursor || null, +limit, attributes, orderBy, orderDir, searchBy, searchColumns, withCount !== "false", null, softDeleteOption, include);
+        } else {
+            data = await this.#service.getDataWithPagination(condition, +page, +limit, attributes, orderBy, orderDir, searchBy, searchColumns, null, softDeleteOption, include);
+        }
+
+        data.data = this.#hideAttributes(data.data);
+        return data;
+    }
+
+    /**
+     * Resolves who performs the request with the actorResolver option.
+     * @param {object} req - Express request object.
+     * @returns {*} - The actor, or null when no resolver is configured.
+     */
+    #resolveActor = (req) => {
+        return this.#options.actorResolver ? this.#options.actorResolver(req) : null;
+    }
+
+    /**
+     * Checks a rule of the policy option. Rules the policy does not define allow the request.
+     * @param {string} rule - The rule name (canCreate, canRead, canUpdate, canDelete).
+     * @param {object} req - Express request object.
+     * @param {...*} args - The other arguments of the rule (data, record, changes).
+     * @returns {Promise<void>}
+     * @throws {HttpError} - 403 "AccessDenied" if the rule denies the request.
+     */
+    #authorize = async (rule, req, ...args) => {
+        let policy = this.#options.policy;
+
+        if (typeof policy?.[rule] !== "function") {
+            return;
+        }
+
+        if (!await policy[rule](req, ...args)) {
+            throw new HttpError(403, "AccessDenied");
+        }
+    }
+
+    /**
+     * Checks a rule of the policy option against a stored record. The record is only fetched when the policy defines the rule.
+     * @param {string} rule - The rule name (canRead, canUpdate, canDelete).
+     * @param {object} req - Express request object.
+     * @param {number|string} id - The ID of the record.
+     * @param {boolean|string} softDeleteOption - The soft-delete read mode used to fetch the record.
+     * @param {...*} args - The other arguments of the rule (changes).
+     * @returns {Promise<void>}
+     * @throws {DataNotAvailableError} - If the record does not exist.
+     * @throws {HttpError} - 403 "AccessDenied" if the rule denies the request.
+     */
+    #authorizeRecord = async (rule, req, id, softDeleteOption, ...args) => {
+        if (typeof this.#options.policy?.[rule] !== "function") {
+            return;
+        }
+
+        let record = await this.#service.getDataById(id, null, null, softDeleteOption);
+
+        if (!record) {
+            throw new DataNotAvailableError();
+        }
+
+        await this.#authorize(rule, req, record, ...args);
+    }
+
+    /**
+     * Restricts the condition of a list action to the scope of the policy option.
+     * @param {object} req - Express request object.
+     * @param {object} condition - The condition of the list action.
+     * @returns {Promise<object>} - The condition combined with the scope, or the condition itself without scope.
+     */
+    #applyPolicyScope = async (req, condition) => {
+        let policy = this.#options.policy;
+        let scope = typeof policy?.scope === "function" ? await policy.scope(req) : null;
+
+        if (!scope) {
+            return condition;
+        }
+
+        return { [Op.and]: [condition || {}, scope] };
+    }
+
+    /**
+     * Resolves the export format from the `format` query parameter, or else from the `Accept` header.
+     * @param {object} req - Express request object.
+     * @returns {object} - The format (see EXPORT_FORMATS).
+     * @throws {HttpError} - 406 "NotAcceptable" if the format is not supported.
+     */
+    #getExportFormat = (req) => {
+        let { format } = req.query;
+
+        if (format == null || format === "") {
+            let formats = Object.values(EXPORT_FORMATS);
+            let mediaType = req.accepts(formats.map(({ mediaType }) => mediaType));
+            format = Object.keys(EXPORT_FORMATS).find(name => EXPORT_FORMATS[name].mediaType === mediaType);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+            throw new HttpError(406, "NotAcceptable", null, [{ field: "format", message: `must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` }]);
+        }
+
+        return EXPORT_FORMATS[format];
+    }
+
+    /**
+     * Resolves the exported columns and their header labels from the exportColumns option and the `fields` query parameter.
+     * @param {object} req - Express request object with optional fields in req.query.fields.
+     * @returns {Array<{column: string, label: string}>} - The columns, in order.
+     * @throws {HttpError} - 400 "InvalidFields" listing the requested fields that cannot be exported.
+     */
+    #getExportColumns = (req) => {
+        let exportColumns = this.#options.exportColumns;
+        let labels = exportColumns && !Array.isArray(exportColumns) ? exportColumns : {};
+        let hiddenAttributes = this.#options.hiddenAttributes || [];
+
+        let available = (exportColumns ? (Array.isArray(exportColumns) ? exportColumns : Object.keys(exportColumns)) : Object.keys(this.#service.getModelAttributes()))
+            .filter(column => !hiddenAttributes.includes(column));
+
+        let { fields } = req.query;
+        let columns = available;
+
+        if (fields != null && fields !== "") {
+            columns = [...new Set((Array.isArray(fields) ? fields : String(fields).split(","))
+                .map(field => String(field).trim())
+                .filter(field => field !== ""))];
+
+            let invalidFields = columns.filter(field => !available.includes(field));
+
+            if (invalidFields.length > 0) {
+                throw new HttpError(400, "InvalidFields", null, invalidFields.map(field => ({ field, message: "cannot be exported" })));
+            }
+        }
+
+        return columns.map(column => ({ column, label: labels[column] || column }));
+    }
+
+    /**
+     * Writes a chunk to a streamed response and waits for the client to consume it when the buffer is full (backpressure).
+     * @param {object} res - Express response object.
+     * @param {string} chunk - The chunk.
+     * @returns {Promise<void>} - Resolves when more data can be written, or when the client disconnected.
+     */
+    #writeChunk = async (res, chunk) => {
+        // A closed response emits neither drain nor close again.
+        if (chunk === "" || res.destroyed || res.writableEnded || res.write(chunk)) {
+            return;
+        }
+
+        await new Promise(resolve => {
+            let done = () => {
+                res.off("drain", done);
+                res.off("close", done);
+                resolve();
+            };
+            res.on("drain", done);
+            res.on("close", done);
+        });
+    }
+
+    /**
+     * Resolves the fields clients can write: the allowlist (or every model attribute) minus the read-only fields.
+     * @param {Array<string>|null} fields - Allowlist of writable fields. If null, every model attribute.
+     * @returns {Array<string>} - The writable fields.
+     */
+    #getWritableFields = (fields) => {
+        let readOnlyFields = this.#service.getReadOnlyFields();
+        return (fields || Object.keys(this.#service.getModelAttributes()))
+            .filter(field => !readOnlyFields.includes(field));
+    }
+
+    /**
+     * Builds the values a replacing PUT gives to the writable fields its body omits: their defaults, or null.
+     * Hidden attributes are left as they are, since clients never see them and cannot send them back.
+     * @param {Array<string>|null} fields - Allowlist of writable fields. If null, every model attribute.
+     * @returns {object} - The reset values, keyed by field.
+     */
+    #getResetValues = (fields) => {
+        let defaults = this.#service.getDefaultValues();
+        let hiddenAttributes = this.#options.hiddenAttributes || [];
+
+        return Object.fromEntries(this.#getWritableFields(fields)
+            .filter(field => !hiddenAttributes.includes(field))
+            .map(field => [field, defaults[field] ?? null]));
+    }
+
+    /**
+     * Keeps only the writable fields of a request payload. Read-only fields (primary key, soft-delete key, timestamps)
+     * are never writable, whatever the allowlist says.
+     * @param {object} data - The request payload.
+     * @param {Array<string>|null} fields - Allowlist of writable fields. If null, every model attribute.
+     * @returns {object} - The payload restricted to the writable fields.
+     * @throws {HttpError} - 422 "UnknownFields" listing the fields that are not writable, when unknownFields is "reject".
+     */
+    #getWritableData = (data, fields) => {
+        let allowedFields = this.#getWritableFields(fields);
+
+        let writableData = {};
+        let rejectedFields = [];
+
+        Object.entries(data || {}).forEach(([field, value]) => {
+            if (allowedFields.includes(field)) {
+                writableData[field] = value;
+            } else {
+                rejectedFields.push(field);
+            }
         });
+
+        if (rejectedFields.length > 0 && this.#options.unknownFields === "reject") {
+            throw new HttpError(422, "UnknownFields", null, rejectedFields.map(field => ({ field, message: "is not writable" })));
+        }
+
+        return writableData;
+    }
+
+    /**
+     * Resolves the `orderBy` query parameter of the list and export actions, the primary key by default.
+     * Hidden attributes cannot be sorted by: the order of the records and the cursors would reveal their values.
+     * @param {object} req - Express request object with optional orderBy in req.query.orderBy.
+     * @returns {string} - The order column.
+     * @throws {HttpError} - 400 "InvalidOrderBy" if it is not a model attribute or is hidden.
+     */
+    #getOrderBy = (req) => {
+        let { orderBy = this.#primaryKey } = req.query;
+        let hiddenAttributes = this.#options.hiddenAttributes || [];
+
+        if (typeof orderBy !== "string" || !Object.prototype.hasOwnProperty.call(this.#service.getModelAttributes(), orderBy)
+            || hiddenAttributes.includes(orderBy)) {
+            throw new HttpError(400, "InvalidOrderBy", null, [{ field: "orderBy", message: "is not an attribute" }]);
+        }
+
+        return orderBy;
+    }
+
+    /**
+     * Resolves the columns searched with the `searchBy` query parameter. Hidden attributes are never searched, so that
+     * matching records cannot reveal their values; requesting one is ignored.
+     * @param {string} searchBy - The search term.
+     * @param {Array<string>|string} searchColumns - The columns requested in req.query.searchColumns, or their JSON string.
+     * @returns {Promise<Array<string>|string>} - The columns to search.
+     */
+    #getSearchColumns = async (searchBy, searchColumns) => {
+        let hiddenAttributes = this.#options.hiddenAttributes || [];
+
+        if (!searchBy || hiddenAttributes.length === 0) {
+            return searchColumns;
+        }
+
+        if (typeof searchColumns === "string") {
+            searchColumns = JSON.parse(searchColumns);
+        }
+
+        let columns = [].concat(searchColumns || []).filter(column => !hiddenAttributes.includes(column));
+
+        // Without searchColumns the service searches every column, hidden ones included.
+        if (columns.length === 0) {
+            columns = (await this.#service.getModelKeys()).filter(column => !hiddenAttributes.includes(column));
+        }
+
+        return columns;
+    }
+
+    /**
+     * Resolves the attributes to fetch from the `fields` query parameter (comma-separated or array).
+     * Hidden attributes are never selected; requesting one is ignored.
+     * @param {object} req - Express request object with optional fields in req.query.fields.
+     * @returns {Array<string>|object|null} - The attributes, `{ exclude }` when only hidden attributes apply, or null for every attribute.
+     * @throws {HttpError} - 400 "InvalidFields" listing the requested fields that are not model attributes.
+     */
+    #getRequestedAttributes = (req) => {
+        let { fields } = req.query;
+        let hiddenAttributes = this.#options.hiddenAttributes || [];
+
+        if (fields == null || fields === "") {
+            return hiddenAttributes.length > 0 ? { exclude: hiddenAttributes } : null;
+        }
+
+        let requestedFields = (Array.isArray(fields) ? fields : String(fields).split(","))
+            .map(field => String(field).trim())
+            .filter(field => field !== "");
+
+        let modelAttributes = Object.keys(this.#service.getModelAttributes());
+        let invalidFields = requestedFields.filter(field => !modelAttributes.includes(field));
+
+        if (invalidFields.length > 0) {
+            throw new HttpError(400, "InvalidFields", null, invalidFields.map(field => ({ field, message: "is not an attribute" })));
+        }
+
+        let attributes = [...new Set(requestedFields.filter(field => !hiddenAttributes.includes(field)))];
+
+        // The version is always returned so that clients can send it back in If-Match.
+        let versionKey = this.#service.getVersionKey();
+        if (versionKey && attributes.length > 0 && !attributes.includes(versionKey)) {
+            attributes.push(versionKey);
+        }
+
+        return attributes.length > 0 ? attributes : [this.#primaryKey];
+    }
+
+    /**
+     * Reads the versions the client expects from the `If-Match` header (e.g. `If-Match: "3"`).
+     * @param {object} req - Express request object.
+     * @returns {Array<string>|null} - The expected versions, or null when any version is accepted
+     * (no header, `*`, or a model without a version key).
+     * @throws {HttpError} - 428 "PreconditionRequired" if the header is required but missing.
+     */
+    #getExpectedVersion = (req) => {
+        if (!this.#service.getVersionKey()) {
+            return null;
+        }
+
+        let ifMatch = (req.get("If-Match") || "").trim();
+
+        if (ifMatch === "") {
+            if (this.#options.requireIfMatch) {
+                throw new HttpError(428, "PreconditionRequired");
+            }
+            return null;
+        }
+
+        if (ifMatch === "*") {
+            return null;
+        }
+
+        return ifMatch.split(",").map(tag => tag.trim().replace(/^W\//, "").replace(/^"|"$/g, ""));
+    }
+
+    /**
+     * Sets the `ETag` response header from the version of a record, when the model is versioned.
+     * @param {object} res - Express response object.
+     * @param {object|null} record - The record sent back.
+     */
+    #setETag = (res, record) => {
+        let versionKey = this.#service.getVersionKey();
+
+        if (versionKey && record?.[versionKey] != null) {
+            res.set("ETag", `"${record[versionKey]}"`);
+        }
+    }
+
+    /**
+     * Resolves the associations to eager load from the `include` query parameter (comma-separated or array).
+     * Dotted paths (e.g. `comments.author`) load nested associations; every requested path must be allowlisted.
+     * @param {object} req - Express request object with optional associations in req.query.include.
+     * @returns {Array<object>|null} - The Sequelize include options, or null when nothing is included.
+     * @throws {HttpError} - 400 "InvalidInclude" listing the associations that are not allowed.
+     */
+    #getRequestedInclude = (req) => {
+        let { include } = req.query;
+
+        if (include == null || include === "") {
+            return null;
+        }
+
+        let allowed = this.#options.includableAssociations || [];
+        let allowedPaths = Array.isArray(allowed)
+            ? Object.fromEntries(allowed.map(path => [path, {}]))
+            : allowed;
+
+        let requestedPaths = (Array.isArray(include) ? include : String(include).split(","))
+            .map(path => String(path).trim())
+            .filter(path => path !== "");
+
+        let invalidPaths = requestedPaths.filter(path => !Object.prototype.hasOwnProperty.call(allowedPaths, path));
+
+        if (invalidPaths.length > 0) {
+            throw new HttpError(400, "InvalidInclude", null, invalidPaths.map(field => ({ field, message: "cannot be included" })));
+        }
+
+        let includeTree = [];
+
+        requestedPaths.forEach(path => {
+            let level = includeTree;
+            let names = path.split(".");
+
+            names.forEach((association, index) => {
+                let entry = level.find(item => item.association === association);
+
+                if (!entry) {
+                    entry = { ...allowedPaths[names.slice(0, index + 1).join(".")], association };
+                    level.push(entry);
+                }
+
+                if (index < names.length - 1) {
+                    entry.include = entry.include || [];
+                    level = entry.include;
+                }
+            });
+        });
+
+        return includeTree;
+    }
+
+    /**
+     * Removes the hidden attributes from a record or a list of records before serialization.
+     * @param {object|Array<object>|null} data - Sequelize instance(s) or plain object(s).
+     * @returns {object|Array<object>|null} - Plain object(s) without the hidden attributes.
+     */
+    #hideAttributes = (data) => {
+        let hiddenAttributes = this.#options.hiddenAttributes || [];
+
+        if (hiddenAttributes.length === 0 || data == null) {
+            return data;
+        }
+
+        if (Array.isArray(data)) {
+            return data.map(this.#hideAttributes);
+        }
+
+        let values = typeof data.toJSON === "function" ? data.toJSON() : { ...data };
+        hiddenAttributes.forEach(attribute => delete values[attribute]);
+        return values;
     }
 }
 
@@ -0,0 +1,97 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Helpers for keyset (cursor) pagination: opaque cursor encoding and keyset conditions.
+ */
+
+const { Op } = require("sequelize");
+const { HttpError } = require("./errors");
+
+/**
+ * Encodes the position of a row into an opaque, URL-safe cursor.
+ * The cursor is bound to the ordering it was created with.
+ *
+ * @param {object} row - The Sequelize instance (or plain object) the cursor points at.
+ * @param {string} orderBy - The order column.
+ * @param {string} orderDir - The order direction (ASC or DESC).
+ * @param {string} primaryKey - The primary key column, used as a tiebreaker.
+ * @param {string} direction - "next" to read the rows after `row`, "prev" to read the rows before it.
+ * @returns {string} - The opaque cursor.
+ */
+const encodeCursor = (row, orderBy, orderDir, primaryKey, direction) => {
+    let read = (key) => (typeof row.get === "function" ? row.get(key) : row[key]);
+    let value = read(orderBy);
+
+    let position = {
+        o: orderBy,
+        d: orderDir,
+        p: direction,
+        k: read(primaryKey),
+        v: value instanceof Date ? value.toISOString() : value,
+    };
+
+    if (value instanceof Date) {
+        position.t = "date";
+    }
+
+    return Buffer.from(JSON.stringify(position))
+        .toString("base64")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+}
+
+/**
+ * Decodes a cursor created by encodeCursor.
+ *
+ * @param {string} cursor - The opaque cursor.
+ * @param {string} orderBy - The order column of the current request.
+ * @param {string} orderDir - The order direction of the current request.
+ * @returns {{value: *, key: *, direction: string}} - The decoded position.
+ * @throws {HttpError} - 400 "InvalidCursor" if the cursor is malformed or was created with another ordering.
+ */
+const decodeCursor = (cursor, orderBy, orderDir) => {
+    let position;
+
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), "base64").toString("utf8"));
+    } catch (error) {
+        throw new HttpError(400, "InvalidCursor");
+    }
+
+    if (!position || position.o !== orderBy || position.d !== orderDir || !["next", "prev"].includes(position.p) || position.k == null) {
+        throw new HttpError(400, "InvalidCursor");
+    }
+
+    return {
+        value: position.t === "date" ? new Date(position.v) : position.v,
+        key: position.k,
+        direction: position.p,
+    };
+}
+
+/**
+ * Builds the condition selecting the rows strictly after a position in the given order.
+ * Rows are compared on the order column first, then on the primary key to break ties.
+ *
+ * @param {{value: *, key: *}} position - The decoded cursor position.
+ * @param {string} orderBy - The order column.
+ * @param {string} primaryKey - The primary key column.
+ * @param {boolean} ascending - Whether rows are read in ascending order.
+ * @returns {object} - The Sequelize `where` condition.
+ */
+const buildKeysetCondition = (position, orderBy, primaryKey, ascending) => {
+    let operator = ascending ? Op.gt : Op.lt;
+
+    if (orderBy === primaryKey) {
+        return { [primaryKey]: { [operator]: position.key } };
+    }
+
+    return {
+        [Op.or]: [
+            { [orderBy]: { [operator]: position.value } },
+            { [orderBy]: position.value, [primaryKey]: { [operator]: position.key } },
+        ]
+    };
+}
+
+module.exports = { encodeCursor, decodeCursor, buildKeysetCondition };
@@ -0,0 +1,233 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Error classes and the error-translation layer used by the Controller to map thrown errors to HTTP responses.
+ */
+
+const { UniqueConstraintError, ValidationError, ForeignKeyConstraintError } = require("sequelize");
+
+/**
+ * @class HttpError
+ * @description Base class for errors that carry their own HTTP status and message key.
+ * The Controller responds with `status` and the message registered under `messageKey`,
+ * falling back to the error message when the key is unknown.
+ *
+ * @property {number} status - HTTP status code.
+ * @property {string} messageKey - Key of the response message.
+ * @property {Array<object>|null} errors - Optional field-level error details.
+ *
+ * @example
+ * throw new HttpError(403, "AccessDenied", "You are not allowed to do this.");
+ */
+class HttpError extends Error {
+    /**
+     * @constructor
+     * @param {number} status - HTTP status code.
+     * @param {string} messageKey - Key of the response message.
+     * @param {string|null} [message=null] - Error message, defaults to the message key.
+     * @param {Array<object>|null} [errors=null] - Optional field-level error details.
+     */
+    constructor(status, messageKey, message = null, errors = null) {
+        super(message || messageKey);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.messageKey = messageKey;
+        this.errors = errors;
+    }
+}
+
+/**
+ * @class DataNotAvailableError
+ * @description Thrown by the Repository when the requested record does not exist. Translated to 404.
+ */
+class DataNotAvailableError extends HttpError {
+    /**
+     * @constructor
+     * @param {string|null} [message=null] - Error message.
+     */
+    constructor(message = null) {
+        super(404, "DataNotAvailable", message);
+    }
+}
+
+/**
+ * @class VersionConflictError
+ * @description Thrown by the Repository when a versioned record is not at the expected version
+ * or was modified by another request in the meantime. Translated to 412.
+ */
+class VersionConflictError extends HttpError {
+    /**
+     * @constructor
+     * @param {string|null} [message=null] - Error message.
+     */
+    constructor(message = null) {
+        super(412, "VersionConflict", message);
+    }
+}
+
+/**
+ * @class TenantMismatchError
+ * @description Thrown by the Repository when a write targets a tenant other than the tenant of the current request.
+ * Translated to 403.
+ */
+class TenantMismatchError extends HttpError {
+    /**
+     * @constructor
+     * @param {string|null} [message=null] - Error message.
+     */
+    constructor(message = null) {
+        super(403, "TenantMismatch", message);
+    }
+}
+
+/**
+ * @class TenantRequiredError
+ * @description Thrown by a Repository with a tenantKey when it is used outside of a tenant context, so that a missing
+ * tenant never results in an unscoped query. Translated to 403.
+ */
+class TenantRequiredError extends HttpError {
+    /**
+     * @constructor
+     * @param {string|null} [message=null] - Error message.
+     */
+    constructor(message = null) {
+        super(403, "TenantRequired", message);
+    }
+}
+
+/**
+ * @class OperationAbortedError
+ * @description Thrown by Service lifecycle hooks to abort the current operation. Translated to its status (422 by default)
+ * and its message, e.g. `throw new OperationAbortedError("Password is too weak.")`.
+ */
+class OperationAbortedError extends HttpError {
+    /**
+     * @constructor
+     * @param {string} [message="The operation was aborted."] - Error message sent to the client.
+     * @param {number} [status=422] - HTTP status code.
+     * @param {Array<object>|null} [errors=null] - Optional field-level error details.
+     */
+    constructor(message = "The operation was aborted.", status = 422, errors = null) {
+        super(status, "OperationAborted", message, errors);
+    }
+}
+
+/**
+ * Converts the items of a Sequelize ValidationError into field-level error details.
+ * @param {ValidationError} error - The Sequelize validation error.
+ * @returns {Array<{field: string, message: string, type: string}>} - Field-level error details.
+ */
+const toFieldErrors = (error) =>
+    (error.errors || []).map(item => ({
+        field: item.path,
+        message: item.message,
+        type: item.validatorKey || item.type,
+    }));
+
+/**
+ * @class ErrorTranslator
+ * @description Maps thrown errors to an HTTP status, a message key and optional field-level errors.
+ * Mappings are registered per error class and resolved from the most specific class up the prototype chain,
+ * so registering a subclass (e.g. UniqueConstraintError) takes precedence over its parent (ValidationError).
+ *
+ * Registered by default:
+ * - HttpError (and subclasses) - its own status and message key.
+ * - UniqueConstraintError - 409, "DataExists".
+ * - ValidationError - 422, "ValidationError", with per-field errors.
+ * - ForeignKeyConstraintError - 409 "DataInUse" when the row is still referenced, otherwise 422 "ForeignKeyConstraintError".
+ *
+ * @example
+ * errorTranslator.register(PaymentError, { status: 402, messageKey: "PaymentRequired" });
+ * errorTranslator.register(RateLimitError, (error) => ({ status: 429, messageKey: "TooManyRequests", errors: [{ retryAfter: error.retryAfter }] }));
+ */
+class ErrorTranslator {
+    #mappings = new Map();
+
+    /**
+     * @constructor
+     * Registers the default mappings for the kit and Sequelize errors.
+     */
+    constructor() {
+        this.register(HttpError, (error) => ({
+            status: error.status,
+            messageKey: error.messageKey,
+            message: error.message,
+            errors: error.errors,
+        }));
+
+        this.register(ValidationError, (error) => ({
+            status: 422,
+            messageKey: "ValidationError",
+            errors: toFieldErrors(error),
+        }));
+
+        this.register(UniqueConstraintError, (error) => ({
+            status: 409,
+            messageKey: "DataExists",
+            errors: toFieldErrors(error),
+        }));
+
+        // "parent" means the row is still referenced by other rows (delete / update of a parent row),
+        // otherwise the payload references a row that does not exist.
+        this.register(ForeignKeyConstraintError, (error) => {
+            let fields = Array.isArray(error.fields) ? error.fields : Object.keys(error.fields || {});
+            let inUse = error.reltype === "parent";
+
+            return {
+                status: inUse ? 409 : 422,
+                messageKey: inUse ? "DataInUse" : "ForeignKeyConstraintError",
+                errors: fields.length > 0 ? fields.map(field => ({ field, type: "foreignKey" })) : null,
+            };
+        });
+    }
+
+    /**
+     * Registers (or replaces) the mapping for an error class.
+     * @param {Function} ErrorClass - The error class to map.
+     * @param {object|Function} mapping - Either `{ status, messageKey, message }` or a function receiving the error
+     * and returning `{ status, messageKey, message, errors }`.
+     * @returns {ErrorTranslator} - The translator, for chaining.
+     */
+    register = (ErrorClass, mapping) => {
+        this.#mappings.set(ErrorClass, mapping);
+        return this;
+    }
+
+    /**
+     * Translates an error using the mapping of its most specific registered class.
+     * @param {Error} error - The error to translate.
+     * @returns {{status: number, messageKey: string|null, message: string|null, errors: Array<object>|null}|null} - The translation, or null if no mapping applies.
+     */
+    translate = (error) => {
+        if (!error || typeof error !== "object") {
+            return null;
+        }
+
+        let prototype = Object.getPrototypeOf(error);
+
+        while (prototype && prototype !== Object.prototype) {
+            let mapping = this.#mappings.get(prototype.constructor);
+
+            if (mapping) {
+                let result = typeof mapping === "function" ? mapping(error) : mapping;
+                return {
+                    status: result.status || 500,
+                    messageKey: result.messageKey || null,
+                    message: result.message || null,
+                    errors: result.errors || null,
+                };
+            }
+
+            prototype = Object.getPrototypeOf(prototype);
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Default translator shared by every Controller that is not given its own.
+ * @type {ErrorTranslator}
+ */
+const errorTranslator = new ErrorTranslator();
+
+module.exports = { HttpError, DataNotAvailableError, VersionConflictError, TenantMismatchError, TenantRequiredError, OperationAbortedError, ErrorTranslator, errorTranslator };
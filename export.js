@@ -0,0 +1,67 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * CSV (RFC 4180) and NDJSON serialization of the rows streamed by the exportData action.
+ */
+
+/**
+ * Formats a value as a CSV field: empty for null, ISO 8601 for dates, JSON for objects,
+ * quoted (with doubled quotes) when it contains a separator, a quote, a line break or surrounding spaces.
+ * Strings starting with `=`, `+`, `-`, `@`, a tab or a carriage return get a leading `'`, so that spreadsheets
+ * do not evaluate them as formulas (CSV injection).
+ * @param {*} value - The value.
+ * @returns {string} - The CSV field.
+ */
+const toCsvField = (value) => {
+    if (value == null) {
+        return "";
+    }
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === "object") {
+        text = JSON.stringify(value);
+    } else if (typeof value === "string" && /^[=+\-@\t\r]/.test(value)) {
+        text = `'${value}`;
+    } else {
+        text = String(value);
+    }
+
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
+
+/**
+ * Formats a list of values as a CSV line.
+ * @param {Array<*>} values - The values.
+ * @returns {string} - The line, ending with CRLF.
+ */
+const toCsvLine = (values) => `${values.map(toCsvField).join(",")}\r\n`;
+
+/**
+ * Export formats keyed by the `format` query parameter. Columns are `{ column, label }` pairs.
+ * - `header(columns)`: the text written before the first row, or an empty string.
+ * - `row(values, columns)`: the text of one row, from its plain values.
+ * @type {object}
+ */
+const EXPORT_FORMATS = {
+    csv: {
+        mediaType: "text/csv",
+        contentType: "text/csv; charset=utf-8",
+        extension: "csv",
+        header: (columns) => toCsvLine(columns.map(({ label }) => label)),
+        row: (values, columns) => toCsvLine(columns.map(({ column }) => values[column])),
+    },
+    ndjson: {
+        mediaType: "application/x-ndjson",
+        contentType: "application/x-ndjson; charset=utf-8",
+        extension: "ndjson",
+        header: () => "",
+        row: (values, columns) => `${JSON.stringify(Object.fromEntries(columns.map(({ column }) => [column, values[column] ?? null])))}\n`,
+    },
+};
+
+module.exports = { EXPORT_FORMATS, toCsvField, toCsvLine };
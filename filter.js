@@ -0,0 +1,218 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Parser for the declarative filter query language used by the list endpoints.
+ *
+ * Syntax (as parsed by Express from the query string):
+ *   filter[status]=active                    -> { status: { [Op.eq]: "active" } }
+ *   filter[age][gte]=18&filter[age][lt]=65   -> { age: { [Op.gte]: 18, [Op.lt]: 65 } }
+ *   filter[status][in]=active,blocked        -> { status: { [Op.in]: ["active", "blocked"] } }
+ *   filter[createdAt][between]=2024-01-01,2024-12-31
+ *   filter[deletedAt][is]=null
+ */
+
+const { Op } = require("sequelize");
+const { HttpError } = require("./errors");
+
+/**
+ * Supported filter operators and their Sequelize equivalents.
+ * @type {object}
+ */
+const FILTER_OPERATORS = {
+    eq: Op.eq,
+    ne: Op.ne,
+    gt: Op.gt,
+    gte: Op.gte,
+    lt: Op.lt,
+    lte: Op.lte,
+    in: Op.in,
+    notIn: Op.notIn,
+    between: Op.between,
+    like: Op.like,
+    is: Op.is,
+};
+
+const INTEGER_TYPES = ["INTEGER", "BIGINT", "SMALLINT", "MEDIUMINT", "TINYINT"];
+const NUMBER_TYPES = ["FLOAT", "DOUBLE", "REAL", "DECIMAL"];
+
+/**
+ * Splits a list value given either as an array or as a comma-separated string.
+ * @param {string|Array<string>} value - The raw value.
+ * @returns {Array<string>} - The list of raw values.
+ */
+const toList = (value) => {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    return String(value).split(",").map(item => item.trim()).filter(item => item !== "");
+}
+
+/**
+ * Coerces a raw query value to the JavaScript type of a model attribute.
+ * @param {string} value - The raw value.
+ * @param {object} attribute - The Sequelize attribute definition.
+ * @returns {*} - The coerced value.
+ * @throws {Error} - If the value is not valid for the attribute type.
+ */
+const coerceValue = (value, attribute) => {
+    if (value === null || typeof value === "object") {
+        throw new Error("must be a single value");
+    }
+
+    let raw = String(value);
+    let typeKey = attribute.type?.key || attribute.type?.constructor?.key;
+
+    if (INTEGER_TYPES.includes(typeKey)) {
+        if (!/^-?\d+$/.test(raw)) {
+            throw new Error("must be an integer");
+        }
+        let number = Number(raw);
+        return Number.isSafeInteger(number) ? number : raw;
+    }
+
+    if (NUMBER_TYPES.includes(typeKey)) {
+        let number = Number(raw);
+        if (raw.trim() === "" || !Number.isFinite(number)) {
+            throw new Error("must be a number");
+        }
+        return number;
+    }
+
+    if (typeKey === "BOOLEAN") {
+        if (["true", "1"].includes(raw)) {
+            return true;
+        }
+        if (["false", "0"].includes(raw)) {
+            return false;
+        }
+        throw new Error("must be a boolean");
+    }
+
+    if (typeKey === "DATE" || typeKey === "DATEONLY") {
+        let date = new Date(raw);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error("must be a valid date");
+        }
+        return typeKey === "DATE" ? date : raw;
+    }
+
+    if (typeKey === "ENUM" && Array.isArray(attribute.values) && !attribute.values.includes(raw)) {
+        throw new Error(`must be one of: ${attribute.values.join(", ")}`);
+    }
+
+    return raw;
+}
+
+/**
+ * Builds the condition of a single operator.
+ * @param {string} operator - The filter operator name.
+ * @param {*} value - The raw value.
+ * @param {object} attribute - The Sequelize attribute definition.
+ * @returns {*} - The coerced operand.
+ * @throws {Error} - If the operand is invalid for the operator or the attribute type.
+ */
+const buildOperand = (operator, value, attribute) => {
+    switch (operator) {
+        case "in":
+        case "notIn": {
+            let values = toList(value);
+            if (values.length === 0) {
+                throw new Error("requires at least one value");
+            }
+            return values.map(item => coerceValue(item, attribute));
+        }
+        case "between": {
+            let values = toList(value);
+            if (values.length !== 2) {
+                throw new Error("requires exactly two values");
+            }
+            return values.map(item => coerceValue(item, attribute));
+        }
+        case "like":
+            if (value === null || typeof value === "object") {
+                throw new Error("must be a single value");
+            }
+            return String(value);
+        case "is": {
+            let mapping = { null: null, true: true, false: false };
+            if (!(String(value) in mapping)) {
+                throw new Error("must be one of: null, true, false");
+            }
+            return mapping[String(value)];
+        }
+        default:
+            return coerceValue(value, attribute);
+    }
+}
+
+/**
+ * Parses a filter object into a Sequelize `where` condition.
+ *
+ * @param {object|string} filter - The filter, as parsed from `filter[...]` query parameters, or its JSON string.
+ * @param {object} modelAttributes - The model attribute definitions (`Model.rawAttributes`), used to coerce values.
+ * @param {Array<string>|null} [filterableColumns=null] - Allowlist of filterable columns. If null, no column can be filtered.
+ * @returns {object} - The Sequelize `where` condition.
+ * @throws {HttpError} - 400 "InvalidFilter" listing every invalid column, operator or value.
+ *
+ * @example
+ * const condition = buildFilterCondition({ age: { gte: "18" }, status: { in: "a,b" } }, UserModel.rawAttributes, ["age", "status"]);
+ * // { age: { [Op.gte]: 18 }, status: { [Op.in]: ["a", "b"] } }
+ */
+const buildFilterCondition = (filter, modelAttributes, filterableColumns = null) => {
+    if (filter == null || filter === "") {
+        return {};
+    }
+
+    if (typeof filter === "string") {
+        try {
+            filter = JSON.parse(filter);
+        } catch (error) {
+            throw new HttpError(400, "InvalidFilter", "Filter must be an object.");
+        }
+    }
+
+    if (typeof filter !== "object" || Array.isArray(filter)) {
+        throw new HttpError(400, "InvalidFilter", "Filter must be an object.");
+    }
+
+    let condition = {};
+    let errors = [];
+
+    Object.entries(filter).forEach(([column, operations]) => {
+        let attribute = modelAttributes[column];
+
+        if (!attribute || !(filterableColumns || []).includes(column)) {
+            errors.push({ field: column, message: "is not filterable" });
+            return;
+        }
+
+        // filter[status]=active is shorthand for filter[status][eq]=active
+        if (operations === null || typeof operations !== "object" || Array.isArray(operations)) {
+            operations = { eq: operations };
+        }
+
+        let columnCondition = {};
+
+        Object.entries(operations).forEach(([operator, value]) => {
+            if (!FILTER_OPERATORS[operator]) {
+                errors.push({ field: column, message: `unsupported operator "${operator}"` });
+                return;
+            }
+
+            try {
+                columnCondition[FILTER_OPERATORS[operator]] = buildOperand(operator, value, attribute);
+            } catch (error) {
+                errors.push({ field: column, message: `${operator} ${error.message}` });
+            }
+        });
+
+        condition[column] = columnCondition;
+    });
+
+    if (errors.length > 0) {
+        throw new HttpError(400, "InvalidFilter", null, errors);
+    }
+
+    return condition;
+}
+
+module.exports = { buildFilterCondition, FILTER_OPERATORS };
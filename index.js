@@ -1,7 +1,22 @@
 const Controller = require("./controller");
 const Repository = require("./repository");
 const Service = require("./service");
+const { createCrudRouter } = require("./router");
+const { buildFilterCondition } = require("./filter");
+const { getCurrentTransaction, runWithContext } = require("./context");
+const { AuditTrail, defineAuditModel, AUDIT_ACTIONS } = require("./audit");
+const { ReadCache, MemoryCacheStore, RedisCacheStore } = require("./cache");
+const { buildOpenApiDocument, createOpenApiRouter } = require("./openapi");
+const { Logger } = require("./logger");
+const { RESPONSE_FORMATTERS, createProblemFormatter } = require("./response");
+const { HttpError, DataNotAvailableError, VersionConflictError, TenantMismatchError, TenantRequiredError, OperationAbortedError, ErrorTranslator, errorTranslator } = require("./errors");
 
 module.exports = {
-    Controller, Service, Repository
+    Controller, Service, Repository, createCrudRouter, buildFilterCondition, getCurrentTransaction, runWithContext,
+    HttpError, DataNotAvailableError, VersionConflictError, TenantMismatchError, TenantRequiredError, OperationAbortedError, ErrorTranslator, errorTranslator,
+    AuditTrail, defineAuditModel, AUDIT_ACTIONS,
+    ReadCache, MemoryCacheStore, RedisCacheStore,
+    buildOpenApiDocument, createOpenApiRouter,
+    Logger,
+    RESPONSE_FORMATTERS, createProblemFormatter
 }
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Locale negotiation and message interpolation used by the Controller to answer in the language of the request.
+ */
+
+/**
+ * Finds the available locale matching a locale, exactly or by its language (e.g. "hi-IN" matches "hi"), ignoring case.
+ * @param {string} locale - The requested locale.
+ * @param {Array<string>} locales - The available locales.
+ * @returns {string|null} - The matching available locale, or null.
+ */
+const matchLocale = (locale, locales) => {
+    let requested = String(locale).toLowerCase();
+    let language = requested.split(/[-_]/)[0];
+
+    return locales.find(available => available.toLowerCase() === requested)
+        || locales.find(available => available.toLowerCase() === language)
+        || null;
+}
+
+/**
+ * Resolves the locale of a request: the locale returned by the resolver when it is available, otherwise the best match
+ * of the `Accept-Language` header, otherwise the default locale.
+ * @param {object} req - Express request object.
+ * @param {Array<string>} locales - The available locales.
+ * @param {Function|null} [resolver=null] - Resolves the preferred locale of a request (e.g. `(req) => req.user?.locale`), or null.
+ * @param {string} [defaultLocale="en"] - The locale used when nothing matches.
+ * @returns {string} - The locale.
+ * @example
+ * resolveLocale(req, ["en", "hi", "mr"]); // "hi" for "Accept-Language: hi-IN,hi;q=0.9,en;q=0.8"
+ */
+const resolveLocale = (req, locales, resolver = null, defaultLocale = "en") => {
+    let preferred = resolver ? resolver(req) : null;
+    let locale = preferred ? matchLocale(preferred, locales) : null;
+
+    if (locale) {
+        return locale;
+    }
+
+    // Without an Accept-Language header, the first locale is returned, so the default one goes first.
+    let candidates = [defaultLocale, ...locales.filter(available => available !== defaultLocale)];
+    let accepted = typeof req?.acceptsLanguages === "function" ? req.acceptsLanguages(candidates) : false;
+
+    return accepted || defaultLocale;
+}
+
+/**
+ * Replaces the `{name}` placeholders of a message with the given values. Placeholders without a value are kept.
+ * @param {string} message - The message.
+ * @param {object} values - The values, keyed by placeholder name.
+ * @returns {string} - The interpolated message.
+ * @example
+ * interpolateMessage("{model} {id} not found.", { model: "User", id: 42 }); // "User 42 not found."
+ */
+const interpolateMessage = (message, values) => {
+    if (typeof message !== "string") {
+        return message;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] == null ? placeholder : String(values[name])));
+}
+
+module.exports = { resolveLocale, matchLocale, interpolateMessage };
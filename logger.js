@@ -0,0 +1,179 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Structured logger used by the Controller, Service and Repository, writing to a pino or winston logger.
+ * Every entry carries the correlation id (`requestId`) of the current request when there is one.
+ */
+
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const { getContext } = require("./context");
+
+/**
+ * Starts a timer.
+ * @returns {Function} - Returns the milliseconds elapsed since the timer was started.
+ */
+const startTimer = () => {
+    let startedAt = performance.now();
+    return () => Math.round((performance.now() - startedAt) * 1000) / 1000;
+}
+
+/**
+ * Reads the correlation id of a request from a header, or creates one when the header is missing or not a plain token.
+ * @param {object} req - Express request object.
+ * @param {string} [header="X-Request-Id"] - The header holding the id.
+ * @returns {string} - The correlation id.
+ */
+const resolveRequestId = (req, header = "X-Request-Id") => {
+    let requestId = req.get?.(header) ?? req.headers?.[header.toLowerCase()];
+
+    // Only short printable tokens are accepted, so a client cannot inject content into the logs.
+    if (typeof requestId === "string" && /^[\w.:@/+=-]{1,128}$/.test(requestId)) {
+        return requestId;
+    }
+
+    return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * @class Logger
+ * @description Writes structured entries (fields and a message) to a pino or winston logger, or any object with
+ * debug, info, warn and error methods. Entries get the `requestId` of the current context.
+ * @example
+ * const logger = new Logger(pino(), { slowQueryThreshold: 200 });
+ * const logger = new Logger(winston.createLogger({ ... }), { style: "winston" });
+ */
+class Logger {
+    #target = null;
+    #options = {
+        style: "pino",
+        slowQueryThreshold: null,
+    };
+    #watched = new WeakSet();
+
+    /**
+     * @constructor
+     * @param {object} target - The logger entries are written to.
+     * @param {object|null} [options=null] - Logger options.
+     * @param {string} [options.style="pino"] - Argument order of the target: "pino" (`info(fields, message)`) or "winston" (`info(message, fields)`).
+     * @param {number|null} [options.slowQueryThreshold=null] - Duration in milliseconds above which the watched queries are logged as warnings.
+     * Other queries are logged at debug level. If null, queries are not timed.
+     */
+    constructor(target, options = null) {
+        this.#target = target;
+        if (options) {
+            Object.assign(this.#options, options);
+        }
+    }
+
+    /**
+     * Writes a debug entry.
+     * @param {object} fields - The structured fields.
+     * @param {string} message - The message.
+     */
+    debug = (fields, message) => this.#write("debug", fields, message);
+
+    /**
+     * Writes an info entry.
+     * @param {object} fields - The structured fields.
+     * @param {string} message - The message.
+     */
+    info = (fields, message) => this.#write("info", fields, message);
+
+    /**
+     * Writes a warning entry.
+     * @param {object} fields - The structured fields.
+     * @param {string} message - The message.
+     */
+    warn = (fields, message) => this.#write("warn", fields, message);
+
+    /**
+     * Writes an error entry.
+     * @param {object} fields - The structured fields.
+     * @param {string} message - The message.
+     */
+    error = (fields, message) => this.#write("error", fields, message);
+
+    /**
+     * Times the queries of a Sequelize instance when the slowQueryThreshold option is set: queries slower than the threshold
+     * are logged as warnings with their SQL, model and duration, the others at debug level. Watching an instance twice has no effect.
+     * @param {Sequelize} sequelize - The Sequelize instance.
+     * @returns {Logger} - The logger, for chaining.
+     */
+    watchQueries = (sequelize) => {
+        if (this.#options.slowQueryThreshold == null || !sequelize || this.#watched.has(sequelize)) {
+            return this;
+        }
+
+        this.#watched.add(sequelize);
+
+        let timers = new WeakMap();
+
+        sequelize.addHook("beforeQuery", (options, query) => {
+            timers.set(query, startTimer());
+        });
+
+        sequelize.addHook("afterQuery", (options, query) => {
+            let stopTimer = timers.get(query);
+
+            if (!stopTimer) {
+                return;
+            }
+
+            let duration = stopTimer();
+            let fields = { model: options.model?.name, sql: query.sql, duration };
+
+            if (duration >= this.#options.slowQueryThreshold) {
+                this.warn({ ...fields, slowQueryThreshold: this.#options.slowQueryThreshold }, "Slow query");
+            } else {
+                this.debug(fields, "Query");
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * Writes an entry to the target, adding the requestId of the current context. Fields that are undefined are left out.
+     * @param {string} level - The level (debug, info, warn, error).
+     * @param {object} fields - The structured fields.
+     * @param {string} message - The message.
+     */
+    #write = (level, fields, message) => {
+        let { requestId } = getContext();
+        let entry = requestId === undefined ? { ...fields } : { requestId, ...fields };
+
+        Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
+
+        try {
+            if (typeof this.#target?.[level] !== "function") {
+                return;
+            }
+
+            if (this.#options.style === "winston") {
+                this.#target[level](message, entry);
+            } else {
+                this.#target[level](entry, message);
+            }
+        } catch (error) {
+            // A failing logger never breaks the operation being logged.
+        }
+    }
+}
+
+/**
+ * Wraps a pino or winston logger given as an option into a Logger, keeping Logger instances as they are.
+ * Winston loggers are recognized by their `transports` list.
+ * @param {Logger|object|null} logger - The logger option.
+ * @returns {Logger|null} - The Logger, or null when no logger is given.
+ */
+const toLogger = (logger) => {
+    if (!logger) {
+        return null;
+    }
+    if (logger instanceof Logger) {
+        return logger;
+    }
+    return new Logger(logger, { style: Array.isArray(logger.transports) ? "winston" : "pino" });
+}
+
+module.exports = { Logger, toLogger, startTimer, resolveRequestId };
@@ -0,0 +1,613 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * OpenAPI 3.1 document generator for the resources mounted with createCrudRouter.
+ */
+
+const express = require("express");
+const { resolveCrudRoutes } = require("./router");
+const { FILTER_OPERATORS } = require("./filter");
+const { AGGREGATE_FUNCTIONS } = require("./aggregate");
+
+const INTEGER_TYPES = ["INTEGER", "SMALLINT", "MEDIUMINT", "TINYINT"];
+const NUMBER_TYPES = ["FLOAT", "DOUBLE", "REAL", "DECIMAL"];
+const STRING_TYPES = ["STRING", "CHAR", "TEXT", "CITEXT", "TSVECTOR"];
+
+/**
+ * Builds the JSON schema of a value of a Sequelize data type, without nullability.
+ * @param {object} type - The Sequelize data type.
+ * @returns {object} - The JSON schema.
+ */
+const typeToSchema = (type) => {
+    let key = type?.key;
+
+    if (INTEGER_TYPES.includes(key)) {
+        return { type: "integer", format: "int32" };
+    }
+    if (key === "BIGINT") {
+        return { type: "integer", format: "int64" };
+    }
+    if (NUMBER_TYPES.includes(key)) {
+        return { type: "number" };
+    }
+    if (key === "BOOLEAN") {
+        return { type: "boolean" };
+    }
+    if (key === "DATE") {
+        return { type: "string", format: "date-time" };
+    }
+    if (key === "DATEONLY") {
+        return { type: "string", format: "date" };
+    }
+    if (key === "TIME") {
+        return { type: "string", format: "time" };
+    }
+    if (key === "UUID" || key === "UUIDV1" || key === "UUIDV4") {
+        return { type: "string", format: "uuid" };
+    }
+    if (key === "ENUM") {
+        return { type: "string", enum: [...(type.values || [])] };
+    }
+    if (key === "BLOB") {
+        return { type: "string", contentEncoding: "base64" };
+    }
+    if (key === "ARRAY") {
+        return { type: "array", items: typeToSchema(type.type) };
+    }
+    if (STRING_TYPES.includes(key)) {
+        let length = type.options?.length ?? type._length;
+        return key === "STRING" && length ? { type: "string", maxLength: Number(length) } : { type: "string" };
+    }
+
+    // JSON, JSONB, GEOMETRY, ... accept any JSON value.
+    return {};
+}
+
+/**
+ * Builds the JSON schema of a model attribute: type, nullability, enum values, default and description.
+ * @param {object} attribute - The Sequelize attribute definition.
+ * @returns {object} - The JSON schema.
+ */
+const attributeToSchema = (attribute) => {
+    let schema = typeToSchema(attribute.type);
+
+    if (attribute.allowNull !== false && !attribute.primaryKey) {
+        if (schema.type) {
+            schema.type = [schema.type, "null"];
+        }
+        if (schema.enum) {
+            schema.enum.push(null);
+        }
+    }
+
+    let defaultValue = attribute.defaultValue;
+    if (defaultValue !== undefined && (defaultValue === null || ["string", "number", "boolean"].includes(typeof defaultValue))) {
+        schema.default = defaultValue;
+    }
+
+    if (attribute.comment) {
+        schema.description = attribute.comment;
+    }
+
+    return schema;
+}
+
+/**
+ * Builds the component schemas of a resource: the record, and the bodies of its create and update requests.
+ * @param {object} description - The description of the resource (Controller.describe()).
+ * @returns {object} - The schemas keyed by name.
+ */
+const buildModelSchemas = (description) => {
+    let { modelName, attributes, readOnlyFields, creatableFields, updatableFields, hiddenAttributes } = description;
+
+    let pickProperties = (fields, readOnly = false) => Object.fromEntries(fields
+        .filter(field => attributes[field] && attributes[field].type?.key !== "VIRTUAL" && !hiddenAttributes.includes(field))
+        .map(field => {
+            let schema = attributeToSchema(attributes[field]);
+            return [field, readOnly && readOnlyFields.includes(field) ? { ...schema, readOnly: true } : schema];
+        }));
+
+    let requiredFields = creatableFields.filter(field => {
+        let attribute = attributes[field];
+        return attribute && attribute.allowNull === false && attribute.defaultValue === undefined && !attribute.autoIncrement;
+    });
+
+    let createSchema = { type: "object", properties: pickProperties(creatableFields) };
+    if (requiredFields.length > 0) {
+        createSchema.required = requiredFields;
+    }
+
+    return {
+        [modelName]: { type: "object", properties: pickProperties(Object.keys(attributes), true) },
+        [`${modelName}Create`]: createSchema,
+        [`${modelName}Update`]: { type: "object", properties: pickProperties(updatableFields) },
+    };
+}
+
+/**
+ * Schemas shared by every resource: errors, bulk results, JSON patch documents and audit entries.
+ * @type {object}
+ */
+const COMMON_SCHEMAS = {
+    Error: {
+        type: "object",
+        properties: {
+            data: {
+                type: "object",
+                properties: { errors: { type: "array", items: { type: "object", additionalProperties: true } } },
+            },
+            message: { type: "string" },
+            status: { type: "integer" },
+            code: { type: "string" },
+        },
+        required: ["data", "message", "status"],
+    },
+    Problem: {
+        type: "object",
+        properties: {
+            type: { type: "string" },
+            title: { type: "string" },
+            status: { type: "integer" },
+            detail: { type: "string" },
+            instance: { type: "string" },
+            code: { type: "string" },
+            errors: { type: "array", items: { type: "object", additionalProperties: true } },
+        },
+        required: ["type", "title", "status"],
+    },
+    RawError: {
+        type: "object",
+        properties: {
+            code: { type: "string" },
+            message: { type: "string" },
+            errors: { type: "array", items: { type: "object", additionalProperties: true } },
+        },
+        required: ["code", "message"],
+    },
+    BulkResults: {
+        type: "object",
+        properties: {
+            results: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        index: { type: "integer" },
+                        status: { type: "string", enum: ["success", "error"] },
+                        data: {},
+                        error: { type: "object", properties: { status: { type: "integer" }, code: { type: "string" }, message: { type: "string" }, errors: {} } },
+                    },
+                },
+            },
+            succeeded: { type: "integer" },
+            failed: { type: "integer" },
+        },
+    },
+    JsonPatch: {
+        type: "array",
+        items: {
+            type: "object",
+            properties: {
+                op: { type: "string", enum: ["add", "remove", "replace", "test"] },
+                path: { type: "string" },
+                value: {},
+            },
+            required: ["op", "path"],
+        },
+    },
+    AuditEntry: {
+        type: "object",
+        properties: {
+            auditId: { type: "integer" },
+            entity: { type: "string" },
+            entityId: { type: "string" },
+            action: { type: "string", enum: ["create", "update", "delete", "restore"] },
+            before: { type: ["object", "null"] },
+            after: { type: ["object", "null"] },
+            actor: { type: ["string", "null"] },
+            createdAt: { type: "string", format: "date-time" },
+        },
+    },
+};
+
+/**
+ * Builds a reference to a component schema.
+ * @param {string} name - The schema name.
+ * @returns {object} - The reference.
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Builds a response in the envelope of Controller.handleSuccess.
+ * @param {string} description - The response description.
+ * @param {object} dataSchema - The schema of the `data` member.
+ * @returns {object} - The response object.
+ */
+const envelope = (description, dataSchema) => ({
+    description,
+    content: {
+        "application/json": {
+            schema: {
+                type: "object",
+                properties: { data: dataSchema, message: { type: "string" }, status: { type: "integer" } },
+                required: ["data", "message", "status"],
+            },
+        },
+    },
+});
+
+/**
+ * Builds a JSON request body.
+ * @param {object} schema - The body schema.
+ * @param {object} [extraContent={}] - Additional media types.
+ * @returns {object} - The request body object.
+ */
+const jsonBody = (schema, extraContent = {}) => ({
+    required: true,
+    content: { "application/json": { schema }, ...extraContent },
+});
+
+/**
+ * Builds the `fields` and `include` query parameters of the read actions.
+ * @param {object} description - The description of the resource.
+ * @returns {Array<object>} - The parameters.
+ */
+const readParameters = (description) => {
+    let parameters = [
+        { name: "fields", in: "query", description: "Comma-separated attributes to return.", schema: { type: "string" } },
+    ];
+
+    if (description.includableAssociations.length > 0) {
+        parameters.push({
+            name: "include",
+            in: "query",
+            description: `Comma-separated associations to load: ${description.includableAssociations.join(", ")}.`,
+            schema: { type: "string" },
+        });
+    }
+
+    return parameters;
+}
+
+/**
+ * Builds the query parameters of the list actions.
+ * @param {object} description - The description of the resource.
+ * @param {boolean} paginated - Whether the page, sorting, search and cursor parameters apply.
+ * @returns {Array<object>} - The parameters.
+ */
+const listParameters = (description, paginated) => {
+    let parameters = [];
+    let columns = Object.keys(description.attributes).filter(field => !description.hiddenAttributes.includes(field));
+
+    if (paginated) {
+        parameters.push(
+            { name: "page", in: "query", schema: { type: "integer", minimum: 1, default: 1 } },
+            { name: "limit", in: "query", schema: { type: "integer", minimum: 1, default: 10 } },
+            { name: "orderBy", in: "query", schema: { type: "string", enum: columns, default: description.primaryKey } },
+            { name: "orderDir", in: "query", schema: { type: "string", enum: ["ASC", "DESC"], default: "DESC" } },
+            { name: "searchBy", in: "query", description: "Text searched (LIKE) in the search columns.", schema: { type: "string" } },
+            { name: "searchColumns", in: "query", description: "JSON array of the columns searched. Every column when empty.", schema: { type: "string" } },
+            { name: "cursor", in: "query", description: "Switches to keyset pagination. Empty for the first page, then nextCursor or prevCursor.", schema: { type: "string" } },
+            { name: "withCount", in: "query", description: "Set to false to skip the total count in keyset pagination.", schema: { type: "boolean", default: true } },
+        );
+    }
+
+    if (description.filterableColumns.length > 0) {
+        parameters.push({
+            name: "filter",
+            in: "query",
+            style: "deepObject",
+            explode: true,
+            description: `Filter as filter[column][operator]=value. Operators: ${Object.keys(FILTER_OPERATORS).join(", ")}.`,
+            schema: {
+                type: "object",
+                properties: Object.fromEntries(description.filterableColumns.map(column => [column, { type: "object", additionalProperties: { type: "string" } }])),
+            },
+        });
+    }
+
+    return [...parameters, ...readParameters(description)];
+}
+
+/**
+ * The `mode` query parameter of the bulk actions.
+ * @type {object}
+ */
+const bulkModeParameter = { name: "mode", in: "query", schema: { type: "string", enum: ["atomic", "bestEffort"], default: "atomic" } };
+
+/**
+ * Builds the schema of a page of records (offset or keyset pagination).
+ * @param {object} description - The description of the resource.
+ * @returns {object} - The schema.
+ */
+const pageSchema = (description) => ({
+    type: "object",
+    properties: {
+        data: { type: "array", items: ref(description.modelName) },
+        currentPage: { type: "integer" },
+        limit: { type: "integer" },
+        totalCount: { type: ["integer", "null"] },
+        totalPages: { type: "integer" },
+        nextCursor: { type: ["string", "null"] },
+        prevCursor: { type: ["string", "null"] },
+    },
+});
+
+/**
+ * Builds the `If-Match` header parameter of the versioned resources.
+ * @param {object} description - The description of the resource.
+ * @returns {Array<object>} - The parameters (none when the model is not versioned).
+ */
+const ifMatchParameters = (description) => description.versionKey
+    ? [{ name: "If-Match", in: "header", description: "ETag of the version being changed.", schema: { type: "string" } }]
+    : [];
+
+/**
+ * Builds an error response.
+ * @param {string} description - The response description.
+ * @returns {object} - The response object.
+ */
+const errorResponse = (description) => ({ description, content: { "application/json": { schema: ref("Error") } } });
+
+/**
+ * Adapts the responses of an operation, written for the envelope formatter, to the response formatter of the controller:
+ * "problem" errors become `application/problem+json` documents, "raw" successes lose the envelope (and a single-property
+ * payload its wrapper) and "raw" errors become `{ code, message, errors }`. Custom formatters are described as envelopes.
+ * @param {object} responses - The responses, keyed by status code.
+ * @param {string} formatter - The name of the response formatter.
+ * @returns {object} - The adapted responses.
+ */
+const adaptResponses = (responses, formatter) => {
+    if (formatter !== "problem" && formatter !== "raw") {
+        return responses;
+    }
+
+    return Object.fromEntries(Object.entries(responses).map(([status, response]) => {
+        let schema = response.content?.["application/json"]?.schema;
+
+        if (schema?.$ref === ref("Error").$ref) {
+            return [status, formatter === "problem"
+                ? { description: response.description, content: { "application/problem+json": { schema: ref("Problem") } } }
+                : { description: response.description, content: { "application/json": { schema: ref("RawError") } } }];
+        }
+
+        if (formatter === "raw" && schema?.properties?.data) {
+            let data = schema.properties.data;
+            let properties = Object.keys(data.properties || {});
+            let payload = data.type === "object" && properties.length === 1 ? data.properties[properties[0]] : data;
+
+            return [status, { description: response.description, content: { "application/json": { schema: payload } } }];
+        }
+
+        return [status, response];
+    }));
+}
+
+/**
+ * Builds the operation of each controller action.
+ * Each builder receives the description of the resource and returns the operation without its tags and operationId.
+ * @type {object}
+ */
+const ACTION_OPERATIONS = {
+    saveData: (d) => ({
+        summary: `Create a ${d.modelName}`,
+        requestBody: jsonBody(ref(`${d.modelName}Create`)),
+        responses: { 201: envelope("Created", { type: "object", properties: { saveData: ref(d.modelName) } }) },
+    }),
+    getAllData: (d) => ({
+        summary: `List every ${d.modelName}`,
+        parameters: listParameters(d, false),
+        responses: { 200: envelope("OK", { type: "object", properties: { data: { type: "array", items: ref(d.modelName) } } }) },
+    }),
+    getAllDataWithPagination: (d) => ({
+        summary: `List ${d.modelName} records page by page`,
+        parameters: listParameters(d, true),
+        responses: { 200: envelope("OK", { type: "object", properties: { data: pageSchema(d) } }) },
+    }),
+    getDataById: (d) => ({
+        summary: `Get a ${d.modelName}`,
+        parameters: readParameters(d),
+        responses: { 200: envelope("OK", { type: "object", properties: { data: ref(d.modelName) } }), 404: errorResponse("Not found") },
+    }),
+    updateData: (d) => ({
+        summary: `Replace a ${d.modelName}`,
+        parameters: ifMatchParameters(d),
+        requestBody: jsonBody(ref(`${d.modelName}Update`)),
+        responses: { 200: envelope("Updated", { type: "object", properties: { updatedData: ref(d.modelName) } }), 404: errorResponse("Not found") },
+    }),
+    patchData: (d) => ({
+        summary: `Patch a ${d.modelName}`,
+        parameters: ifMatchParameters(d),
+        requestBody: jsonBody(ref(`${d.modelName}Update`), {
+            "application/merge-patch+json": { schema: ref(`${d.modelName}Update`) },
+            "application/json-patch+json": { schema: ref("JsonPatch") },
+        }),
+        responses: { 200: envelope("Updated", { type: "object", properties: { updatedData: ref(d.modelName) } }), 404: errorResponse("Not found") },
+    }),
+    deleteData: (d) => ({
+        summary: `Delete a ${d.modelName}`,
+        parameters: ifMatchParameters(d),
+        responses: { 200: envelope("Deleted", { type: "object" }), 404: errorResponse("Not found") },
+    }),
+    getTrashedData: (d) => ({
+        summary: `List soft-deleted ${d.modelName} records`,
+        parameters: listParameters(d, true),
+        responses: { 200: envelope("OK", { type: "object", properties: { data: pageSchema(d) } }) },
+    }),
+    restoreData: (d) => ({
+        summary: `Restore a soft-deleted ${d.modelName}`,
+        responses: { 200: envelope("Restored", { type: "object", properties: { restoredData: ref(d.modelName) } }), 404: errorResponse("Not found") },
+    }),
+    forceDeleteData: (d) => ({
+        summary: `Permanently delete a ${d.modelName}`,
+        responses: { 200: envelope("Deleted", { type: "object" }), 404: errorResponse("Not found") },
+    }),
+    saveBulkData: (d) => ({
+        summary: `Create several ${d.modelName} records`,
+        parameters: [bulkModeParameter],
+        requestBody: jsonBody({ type: "array", items: ref(`${d.modelName}Create`) }),
+        responses: { 201: envelope("Created", ref("BulkResults")), 207: envelope("Partially completed", ref("BulkResults")) },
+    }),
+    updateBulkData: (d) => ({
+        summary: `Update several ${d.modelName} records`,
+        parameters: [bulkModeParameter],
+        requestBody: jsonBody({ type: "array", items: { allOf: [ref(`${d.modelName}Update`)], required: [d.primaryKey] } }),
+        responses: { 200: envelope("Updated", ref("BulkResults")), 207: envelope("Partially completed", ref("BulkResults")) },
+    }),
+    deleteBulkData: (d) => ({
+        summary: `Delete several ${d.modelName} records`,
+        parameters: [bulkModeParameter],
+        requestBody: jsonBody({ type: "array", items: attributeToSchema({ ...d.attributes[d.primaryKey], allowNull: false }) }),
+        responses: { 200: envelope("Deleted", ref("BulkResults")), 207: envelope("Partially completed", ref("BulkResults")) },
+    }),
+    upsertData: (d) => ({
+        summary: `Create or replace a ${d.modelName}`,
+        parameters: ifMatchParameters(d),
+        requestBody: jsonBody(ref(`${d.modelName}Update`)),
+        responses: {
+            200: envelope("Updated", { type: "object", properties: { data: ref(d.modelName), created: { type: "boolean" } } }),
+            201: envelope("Created", { type: "object", properties: { data: ref(d.modelName), created: { type: "boolean" } } }),
+        },
+    }),
+    exportData: (d) => ({
+        summary: `Export ${d.modelName} records as CSV or NDJSON`,
+        parameters: [
+            { name: "format", in: "query", description: "Overrides the Accept header.", schema: { type: "string", enum: ["csv", "ndjson"], default: "csv" } },
+            ...listParameters(d, true).filter(parameter => !["page", "limit", "cursor", "withCount", "include"].includes(parameter.name)),
+        ],
+        responses: {
+            200: {
+                description: "The records, streamed",
+                content: { "text/csv": { schema: { type: "string" } }, "application/x-ndjson": { schema: { type: "string" } } },
+            },
+            406: errorResponse("Unsupported format"),
+        },
+    }),
+    getAggregateData: (d) => {
+        let groupProperties = Object.fromEntries(d.groupableColumns.map(column => [column, attributeToSchema(d.attributes[column])]));
+
+        return {
+            summary: `Aggregate ${d.modelName} records`,
+            parameters: [
+                { name: "fn", in: "query", required: true, schema: { type: "string", enum: AGGREGATE_FUNCTIONS } },
+                { name: "field", in: "query", description: "Aggregated field. Optional for count, which then counts the records.", schema: { type: "string", enum: Object.keys(d.aggregations) } },
+                { name: "groupBy", in: "query", description: `Comma-separated columns to group by: ${d.groupableColumns.join(", ") || "none"}.`, schema: { type: "string" } },
+                {
+                    name: "having",
+                    in: "query",
+                    style: "deepObject",
+                    explode: true,
+                    description: "Condition on the aggregated value as having[operator]=number. Operators: eq, ne, gt, gte, lt, lte, between.",
+                    schema: { type: "object", additionalProperties: { type: "string" } },
+                },
+                { name: "orderBy", in: "query", schema: { type: "string", enum: ["value", ...d.groupableColumns] } },
+                { name: "orderDir", in: "query", schema: { type: "string", enum: ["ASC", "DESC"], default: "DESC" } },
+                ...listParameters(d, false).filter(parameter => parameter.name === "filter"),
+            ],
+            responses: {
+                200: envelope("OK", {
+                    type: "object",
+                    properties: { data: { type: "array", items: { type: "object", properties: { ...groupProperties, value: {} } } } },
+                }),
+                400: errorResponse("Invalid aggregation"),
+            },
+        };
+    },
+    getAuditHistory: (d) => ({
+        summary: `Get the change history of a ${d.modelName}`,
+        responses: { 200: envelope("OK", { type: "object", properties: { data: { type: "array", items: ref("AuditEntry") } } }), 404: errorResponse("Not found") },
+    }),
+};
+
+/**
+ * Builds an OpenAPI 3.1 document describing the CRUD routes of controllers.
+ * @param {Array<{path: string, controller: Controller, options?: object, tag?: string}>} resources - The mounted resources:
+ * the path the router is mounted on, the controller, the createCrudRouter options used, and an optional tag (defaults to the model name).
+ * @param {object} [options={}] - Document options.
+ * @param {object} [options.info={ title: "API", version: "1.0.0" }] - The OpenAPI info object.
+ * @param {Array<object>} [options.servers] - The OpenAPI servers.
+ * @returns {object} - The OpenAPI document.
+ * @example
+ * const document = buildOpenApiDocument([
+ *     { path: "/users", controller: userController, options: { idParam: "userId", actions: { restoreData: true } } },
+ * ], { info: { title: "Shop API", version: "2.1.0" } });
+ */
+const buildOpenApiDocument = (resources, options = {}) => {
+    let { info = { title: "API", version: "1.0.0" }, servers } = options;
+    let document = {
+        openapi: "3.1.0",
+        info,
+        ...(servers ? { servers } : {}),
+        paths: {},
+        components: { schemas: { ...COMMON_SCHEMAS } },
+    };
+
+    resources.forEach(resource => {
+        let description = resource.controller.describe();
+        let tag = resource.tag || description.modelName;
+        let basePath = resource.path.replace(/\/$/, "");
+
+        Object.assign(document.components.schemas, buildModelSchemas(description));
+
+        resolveCrudRoutes(resource.options || {}).forEach(route => {
+            let buildOperation = ACTION_OPERATIONS[route.action];
+
+            if (!buildOperation) {
+                return;
+            }
+
+            let pathParameters = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+            let path = `${basePath}${route.path === "/" ? "" : route.path}`.replace(/:(\w+)/g, "{$1}") || "/";
+            let operation = buildOperation(description);
+
+            operation.parameters = [
+                ...pathParameters.map(name => ({
+                    name,
+                    in: "path",
+                    required: true,
+                    schema: attributeToSchema({ ...description.attributes[description.primaryKey], allowNull: false, defaultValue: undefined }),
+                })),
+                ...(operation.parameters || []),
+            ];
+
+            if (operation.parameters.length === 0) {
+                delete operation.parameters;
+            }
+
+            operation.responses = adaptResponses({
+                ...operation.responses,
+                default: errorResponse("Error"),
+            }, description.responseFormatter);
+
+            document.paths[path] = {
+                ...document.paths[path],
+                [route.method]: { tags: [tag], operationId: `${route.action}${description.modelName}`, ...operation },
+            };
+        });
+    });
+
+    return document;
+}
+
+/**
+ * Creates an Express router serving the OpenAPI document as JSON. The document is built on the first request.
+ * @param {Array<object>} resources - Same as buildOpenApiDocument.
+ * @param {object} [options={}] - Same as buildOpenApiDocument, plus:
+ * @param {string} [options.path="/openapi.json"] - The path of the document.
+ * @returns {Router} - The Express router.
+ * @example
+ * app.use(createOpenApiRouter([{ path: "/users", controller: userController }]));
+ */
+const createOpenApiRouter = (resources, options = {}) => {
+    let { path = "/openapi.json" } = options;
+    let router = express.Router();
+    let document = null;
+
+    router.get(path, (req, res) => {
+        document = document || buildOpenApiDocument(resources, options);
+        res.json(document);
+    });
+
+    return router;
+}
+
+module.exports = { buildOpenApiDocument, createOpenApiRouter, attributeToSchema };
@@ -0,0 +1,291 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) support used by the patchData action.
+ *
+ * Merge patch (application/merge-patch+json):
+ *   { "name": "John", "age": null, "settings": { "theme": "dark" } }
+ *   -> sets name, nulls age, merges theme into the settings JSON column
+ *
+ * JSON patch (application/json-patch+json):
+ *   [{ "op": "test", "path": "/name", "value": "John" },
+ *    { "op": "replace", "path": "/settings/theme", "value": "dark" },
+ *    { "op": "add", "path": "/tags/-", "value": "vip" },
+ *    { "op": "remove", "path": "/nickname" }]
+ */
+
+const { HttpError } = require("./errors");
+
+const MERGE_PATCH_TYPE = "application/merge-patch+json";
+const JSON_PATCH_TYPE = "application/json-patch+json";
+
+/**
+ * Media types of the patch documents, to be parsed as JSON.
+ * @type {Array<string>}
+ */
+const PATCH_CONTENT_TYPES = [MERGE_PATCH_TYPE, JSON_PATCH_TYPE];
+
+/**
+ * Supported JSON patch operations.
+ * @type {Array<string>}
+ */
+const JSON_PATCH_OPERATIONS = ["add", "remove", "replace", "test"];
+
+/**
+ * Checks whether a value is a plain JSON object (not null, not an array).
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True for plain objects.
+ */
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Compares two JSON values structurally.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} - True if both values are equal.
+ */
+const isDeepEqual = (a, b) => {
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => isDeepEqual(item, b[index]));
+    }
+
+    if (isObject(a) && isObject(b)) {
+        let keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key]));
+    }
+
+    return a === b;
+}
+
+/**
+ * Applies a JSON merge patch (RFC 7396) to a document. `null` removes a member; objects are merged recursively;
+ * any other value (including arrays) replaces the target.
+ * @param {*} target - The document to patch. It is not modified.
+ * @param {*} patch - The merge patch.
+ * @returns {*} - The patched document.
+ */
+const applyMergePatch = (target, patch) => {
+    if (!isObject(patch)) {
+        return patch;
+    }
+
+    let result = isObject(target) ? { ...target } : {};
+
+    Object.entries(patch).forEach(([key, value]) => {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Parses a JSON pointer (RFC 6901) into its reference tokens.
+ * @param {string} pointer - The JSON pointer, e.g. "/settings/theme".
+ * @returns {Array<string>} - The unescaped tokens.
+ * @throws {Error} - If the pointer is not valid.
+ */
+const parsePointer = (pointer) => {
+    if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+        throw new Error("must be a JSON pointer");
+    }
+
+    if (pointer === "") {
+        return [];
+    }
+
+    return pointer.slice(1).split("/").map(token => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Resolves an array index token.
+ * @param {Array<*>} array - The array.
+ * @param {string} token - The token.
+ * @param {boolean} allowEnd - Whether "-" and the array length (append position) are accepted.
+ * @returns {number} - The index.
+ * @throws {Error} - If the token is not a valid index.
+ */
+const toIndex = (array, token, allowEnd) => {
+    if (token === "-" && allowEnd) {
+        return array.length;
+    }
+
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+        throw new Error("is not a valid array index");
+    }
+
+    let index = Number(token);
+
+    if (index > array.length || (index === array.length && !allowEnd)) {
+        throw new Error("is out of bounds");
+    }
+
+    return index;
+}
+
+/**
+ * Applies a single JSON patch operation. Containers along the path are copied, so the input is never modified.
+ * @param {*} document - The document to patch.
+ * @param {Array<string>} tokens - The path tokens.
+ * @param {Function} update - Receives the parent container and the last token, and returns the new parent.
+ * @returns {*} - The patched document.
+ * @throws {Error} - If the path does not exist.
+ */
+const updateAtPath = (document, tokens, update) => {
+    let [token, ...rest] = tokens;
+
+    if (rest.length === 0) {
+        return update(document, token);
+    }
+
+    if (Array.isArray(document)) {
+        let index = toIndex(document, token, false);
+        let copy = [...document];
+        copy[index] = updateAtPath(document[index], rest, update);
+        return copy;
+    }
+
+    if (isObject(document) && Object.prototype.hasOwnProperty.call(document, token)) {
+        return { ...document, [token]: updateAtPath(document[token], rest, update) };
+    }
+
+    throw new Error("does not exist");
+}
+
+/**
+ * Reads the value at a JSON pointer.
+ * @param {*} document - The document.
+ * @param {Array<string>} tokens - The path tokens.
+ * @returns {*} - The value.
+ * @throws {Error} - If the path does not exist.
+ */
+const getAtPath = (document, tokens) => tokens.reduce((value, token) => {
+    if (Array.isArray(value)) {
+        return value[toIndex(value, token, false)];
+    }
+
+    if (isObject(value) && Object.prototype.hasOwnProperty.call(value, token)) {
+        return value[token];
+    }
+
+    throw new Error("does not exist");
+}, document);
+
+/**
+ * Applies a JSON patch (RFC 6902) to a document. Supports the add, remove, replace and test operations,
+ * with paths into nested objects and arrays (e.g. JSON columns). Operations are applied in order and atomically:
+ * the input document is never modified.
+ * @param {object} document - The document to patch.
+ * @param {Array<object>} operations - The JSON patch operations.
+ * @returns {object} - The patched document.
+ * @throws {HttpError} - 400 "InvalidPatch" for a malformed patch, 422 "PatchNotApplicable" when a path does not exist,
+ * or 409 "PatchTestFailed" when a test operation fails.
+ */
+const applyJsonPatch = (document, operations) => {
+    if (!Array.isArray(operations)) {
+        throw new HttpError(400, "InvalidPatch", null, [{ field: "body", message: "must be an array of operations" }]);
+    }
+
+    let invalid = [];
+    operations.forEach((operation, index) => {
+        if (!isObject(operation) || !JSON_PATCH_OPERATIONS.includes(operation.op)) {
+            invalid.push({ index, message: `op must be one of ${JSON_PATCH_OPERATIONS.join(", ")}` });
+        } else if (typeof operation.path !== "string" || (operation.path !== "" && !operation.path.startsWith("/"))) {
+            invalid.push({ index, message: "path must be a JSON pointer" });
+        } else if (operation.op !== "remove" && !Object.prototype.hasOwnProperty.call(operation, "value")) {
+            invalid.push({ index, message: "value is required" });
+        }
+    });
+
+    if (invalid.length > 0) {
+        throw new HttpError(400, "InvalidPatch", null, invalid);
+    }
+
+    return operations.reduce((result, operation, index) => {
+        let { op, path, value } = operation;
+        let tokens = parsePointer(path);
+
+        if (op === "test") {
+            let current;
+            try {
+                current = getAtPath(result, tokens);
+            } catch (error) {
+                throw new HttpError(409, "PatchTestFailed", null, [{ index, path, message: error.message }]);
+            }
+
+            if (!isDeepEqual(current, value)) {
+                throw new HttpError(409, "PatchTestFailed", null, [{ index, path, message: "does not match the expected value" }]);
+            }
+            return result;
+        }
+
+        if (tokens.length === 0) {
+            throw new HttpError(422, "PatchNotApplicable", null, [{ index, path, message: "cannot target the whole record" }]);
+        }
+
+        try {
+            return updateAtPath(result, tokens, (parent, token) => {
+                if (Array.isArray(parent)) {
+                    let copy = [...parent];
+                    let position = toIndex(parent, token, op === "add");
+
+                    if (op === "add") {
+                        copy.splice(position, 0, value);
+                    } else if (op === "remove") {
+                        copy.splice(position, 1);
+                    } else {
+                        copy[position] = value;
+                    }
+                    return copy;
+                }
+
+                if (!isObject(parent) || (op !== "add" && !Object.prototype.hasOwnProperty.call(parent, token))) {
+                    throw new Error("does not exist");
+                }
+
+                let copy = { ...parent };
+
+                if (op === "remove") {
+                    delete copy[token];
+                } else {
+                    copy[token] = value;
+                }
+                return copy;
+            });
+        } catch (error) {
+            throw new HttpError(422, "PatchNotApplicable", null, [{ index, path, message: error.message }]);
+        }
+    }, document);
+}
+
+/**
+ * Lists the top-level fields whose value differs between two documents. Removed fields are reported as null.
+ * @param {object} original - The original document.
+ * @param {object} patched - The patched document.
+ * @returns {object} - The changed fields and their new values.
+ */
+const getChangedFields = (original, patched) => {
+    let changes = {};
+    let fields = new Set([...Object.keys(original), ...Object.keys(patched)]);
+
+    fields.forEach(field => {
+        let value = Object.prototype.hasOwnProperty.call(patched, field) ? patched[field] : null;
+
+        if (!isDeepEqual(original[field] ?? null, value)) {
+            changes[field] = value;
+        }
+    });
+
+    return changes;
+}
+
+module.exports = {
+    applyMergePatch, applyJsonPatch, getChangedFields, isDeepEqual,
+    PATCH_CONTENT_TYPES, MERGE_PATCH_TYPE, JSON_PATCH_TYPE, JSON_PATCH_OPERATIONS
+};
@@ -3,8 +3,32 @@
  * Author - Mangesh Balkawade : 7378336345
  * A generic repository class to handle common database operations using Sequelize.
  * This class implements methods for CRUD operations, soft deletion, and more.
+ * Methods taking a transaction fall back to the transaction of the enclosing withTransaction call.
  */
 
+const { Op, Utils } = require("sequelize");
+const { HttpError, DataNotAvailableError, VersionConflictError, TenantMismatchError, TenantRequiredError } = require("./errors");
+const { encodeCursor, decodeCursor, buildKeysetCondition } = require("./cursor");
+const { runWithContext, getContext, getCurrentTransaction } = require("./context");
+const { AUDIT_ACTIONS } = require("./audit");
+const { ReadCache } = require("./cache");
+const { normalizeAggregateOptions, toAggregateValue } = require("./aggregate");
+const { toLogger, startTimer } = require("./logger");
+
+/**
+ * Soft-delete key and "not deleted" value of every model managed by a Repository,
+ * used to filter soft-deleted rows of included associations.
+ * @type {Map<Model, {key: string, activeValue: number|null}>}
+ */
+const softDeleteKeys = new Map();
+
+/**
+ * Tenant key of every model managed by a Repository with tenant scoping,
+ * used to scope included associations to the current tenant.
+ * @type {Map<Model, string>}
+ */
+const tenantKeys = new Map();
+
 /**
  * @class Repository
  * @description A generic repository class that provides an interface for performing CRUD operations
@@ -14,17 +38,45 @@
  * @property {string|null} #primaryKey - The primary key field name of the model.
  * @property {string|null} #softDeleteKey - The key used for soft deletion (if applicable).
  * @property {boolean} #softDeleteDefaultValue - The default value indicating whether a record is considered deleted.
+ * @property {boolean} #softDeleteTimestamp - Whether the soft-delete key is a timestamp (null when not deleted) instead of a 0/1 flag.
+ * @property {object} #options - Repository options (deletedAtKey, deletedByKey, versionKey, auditTrail, tenantKey, cache, ...).
+ * @property {ReadCache|null} #cache - Read cache of getDataById, getAllData and getDataWithPagination (if configured).
+ * @property {Logger|null} #logger - Logger of the writes and queries (if configured).
  * @property {object} #messages - Predefined messages for various success and error scenarios.
+ *
+ * The `softDeleteOption` argument of the read methods also accepts Repository.WITH_TRASHED (include soft-deleted rows)
+ * and Repository.ONLY_TRASHED (only soft-deleted rows). A context whose `tenantId` is Repository.ALL_TENANTS lifts the tenant scope.
  * 
  * @example
  * const userRepository = new Repository(UserModel, 'isDeleted', true);
+ * const postRepository = new Repository(PostModel, 'deletedAt', true, null, { deletedByKey: 'deletedBy' });
+ * const orderRepository = new Repository(OrderModel, null, false, null, { versionKey: 'version' });
+ * const invoiceRepository = new Repository(InvoiceModel, 'deleteFlag', true, null, { auditTrail: new AuditTrail(AuditLogModel) });
+ * const projectRepository = new Repository(ProjectModel, 'deleteFlag', true, null, { tenantKey: 'orgId' });
+ * const countryRepository = new Repository(CountryModel, null, false, null, { cache: { ttl: 3600 } });
  */
 
 class Repository {
+    static WITH_TRASHED = "withTrashed";
+    static ONLY_TRASHED = "onlyTrashed";
+    static ALL_TENANTS = Symbol("allTenants");
+
     #model = null;
     #primaryKey = null;
     #softDeleteKey = null;
     #softDeleteDefaultValue = false;
+    #softDeleteTimestamp = false;
+    #options = {
+        deletedAtKey: null,
+        deletedByKey: null,
+        versionKey: null,
+        auditTrail: null,
+        tenantKey: null,
+        cache: null,
+        logger: null,
+    };
+    #cache = null;
+    #logger = null;
 
     #messages = {
         // Data Success Messages
@@ -32,6 +84,9 @@ class Repository {
         // Data Error Messages
         DataExists: "Data already exists. Please check your request.",
         ForeignKeyConstraintError: "Invalid data: Please check the associated foreign keys.",
+        VersionConflict: "The data was modified by another request. Please reload it and try again.",
+        TenantMismatch: "The data belongs to another tenant.",
+        TenantRequired: "No tenant is associated with this operation.",
     }
 
     /**
@@ -40,15 +95,77 @@ class Repository {
      * @param {string|null} [softDeleteKey=null] - The key used for soft deletion.
      * @param {boolean} [softDeleteDefaultValue=false] - The default value for the soft delete key.
      * @param {object|null} [messages=null] - Custom messages for various operations.
+     * @param {object|null} [options=null] - Optional repository options.
+     * @param {string|null} [options.deletedAtKey=null] - Column recording when a row was soft deleted (for flag-style soft deletes).
+     * @param {string|null} [options.deletedByKey=null] - Column recording who soft deleted a row.
+     * @param {string|null} [options.versionKey=null] - Integer column used for optimistic concurrency control: updates and deletes
+     * only apply to the version that was read (`WHERE version = ?`) and increment it.
+     * @param {AuditTrail|null} [options.auditTrail=null] - Audit trail recording every write of this repository, in the transaction of the write.
+     * @param {string|null} [options.tenantKey=null] - Column holding the tenant of a row. Every query is scoped to the `tenantId` of the
+     * current context (set by the Controller from its tenantResolver option), created rows get it, and writing another tenant id
+     * throws TenantMismatchError. Outside of a tenant context every method throws TenantRequiredError; background jobs that work
+     * across tenants run in `runWithContext({ tenantId: Repository.ALL_TENANTS }, ...)`.
+     * @param {boolean|object|null} [options.cache=null] - Caches getDataById, getAllData and getDataWithPagination outside of transactions
+     * and without includes. `true` or `{ store, ttl, prefix }` (see ReadCache; defaults: shared in-memory LRU, 60 seconds, the model name).
+     * Every write of the repository invalidates the cache, once its transaction is committed.
+     * @param {Logger|object|null} [options.logger=null] - Logger (a Logger, or a pino or winston logger) of the writes, at debug level, with the model,
+     * the action and the duration. A Logger with a slowQueryThreshold also times every query of the model's Sequelize instance.
+     *
+     * A soft-delete key declared as DataTypes.DATE is treated as a timestamp: rows are active while it is null.
+     * Any other type is treated as a flag: 0 when active, 1 when deleted.
      */
-    constructor(model, softDeleteKey = null, softDeleteDefaultValue = false, messages = null) {
+    constructor(model, softDeleteKey = null, softDeleteDefaultValue = false, messages = null, options = null) {
         this.#model = model;
         this.#primaryKey = this.#model.primaryKeyAttribute;
         this.#softDeleteKey = softDeleteKey;
         if (messages) {
             Object.assign(this.#messages, messages);
         }
+        if (options) {
+            Object.assign(this.#options, options);
+        }
         this.#softDeleteDefaultValue = softDeleteDefaultValue;
+
+        if (softDeleteKey) {
+            let typeKey = model.rawAttributes[softDeleteKey]?.type?.key;
+            this.#softDeleteTimestamp = typeKey === "DATE" || typeKey === "DATEONLY";
+            softDeleteKeys.set(model, { key: softDeleteKey, activeValue: this.#softDeleteTimestamp ? null : 0 });
+        }
+
+        if (this.#options.tenantKey) {
+            tenantKeys.set(model, this.#options.tenantKey);
+        }
+
+        if (this.#options.cache) {
+            this.#cache = new ReadCache({ prefix: model.name, ...(this.#options.cache === true ? {} : this.#options.cache) });
+        }
+
+        this.#logger = toLogger(this.#options.logger);
+        this.#logger?.watchQueries(model.sequelize);
+    }
+
+    /**
+     * Runs a callback in a managed transaction. Every Repository and Service call made inside the callback
+     * (on any repository of the same Sequelize instance) uses this transaction automatically, without passing it around.
+     * The transaction is committed when the callback resolves and rolled back when it throws.
+     * Nested calls create a savepoint in the outer transaction, so an inner failure only rolls back the inner work.
+     *
+     * @param {Function} callback - Async function receiving the transaction.
+     * @param {object} [options={}] - Sequelize transaction options (isolationLevel, ...).
+     * @returns {Promise<*>} - The value returned by the callback.
+     * @example
+     * const order = await userRepository.withTransaction(async () => {
+     *     let user = await userRepository.saveData({ name: 'John' });
+     *     return await orderRepository.saveData({ userId: user.userId });
+     * });
+     */
+    withTransaction = async (callback, options = {}) => {
+        let parentTransaction = getCurrentTransaction();
+        let transactionOptions = parentTransaction ? { ...options, transaction: parentTransaction } : options;
+
+        return await this.#model.sequelize.transaction(transactionOptions, (transaction) =>
+            runWithContext({ transaction }, () => callback(transaction))
+        );
     }
 
     /**
@@ -58,8 +175,12 @@ class Repository {
       * @returns {Promise<object>} - The saved data.
       */
     saveData = async (data, transaction = null) => {
-        let savedData = await this.#model.create(data, { transaction });
-        return savedData;
+        transaction = transaction || getCurrentTransaction();
+
+        return await this.#runWrite(AUDIT_ACTIONS.CREATE, null, null, transaction, async (transaction) => {
+            let savedData = await this.#model.create(this.#applyTenantValues(data), { transaction });
+            return savedData;
+        });
     }
 
     /**
@@ -69,38 +190,183 @@ class Repository {
      * @returns {Promise<Array<object>>} - The saved data.
      */
     saveBulkData = async (data, transaction = null) => {
-        let savedData = await this.#model.bulkCreate(data, { transaction });
+        transaction = transaction || getCurrentTransaction();
+
+        return await this.#runWrite(AUDIT_ACTIONS.CREATE, null, null, transaction, async (transaction) => {
+            let savedData = await this.#model.bulkCreate(data.map(item => this.#applyTenantValues(item)), { transaction });
+            return savedData;
+        });
+    }
+
+    /**
+     * Inserts a record, or updates the record having the same values in the conflict fields, in a single statement.
+     * A soft-deleted record matching the conflict fields is restored with the new data.
+     * @param {object} data - The data to be saved.
+     * @param {Array<string>|string|null} [conflictFields=null] - Fields identifying the record, backed by a unique index. Defaults to the primary key.
+     * PostgreSQL and SQLite use them as the conflict target; MySQL and MariaDB use every unique index of the table.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @returns {Promise<{data: object, created: boolean}>} - The saved record and whether it was created.
+     * @throws {HttpError} - 409 "DataExists" if the conflict fields match a row of another tenant.
+     */
+    upsertData = async (data, conflictFields = null, transaction = null) => {
+        transaction = transaction || getCurrentTransaction();
+        conflictFields = [].concat(conflictFields || this.#primaryKey);
+        data = this.#applyTenantValues(data);
+
+        let conflictCondition = this.#getConflictCondition(data, conflictFields);
+        let existData = conflictCondition ? await this.#model.findOne({ where: this.#applyTenantCondition({ ...conflictCondition }), transaction }) : null;
+
+        // The conflict fields may match a row of another tenant, which the upsert would overwrite.
+        // It is reported as the conflict an insert would raise, without telling that the row belongs to another tenant.
+        if (!existData && conflictCondition && this.#getTenantId() !== undefined
+            && await this.#model.count({ where: conflictCondition, transaction }) > 0) {
+            throw new HttpError(409, "DataExists", this.#messages.DataExists);
+        }
+
+        let savedData = await this.#runWrite(AUDIT_ACTIONS.UPDATE, conflictCondition, null, transaction, async (transaction) => {
+            let [savedData] = await this.#model.upsert({ ...data, ...this.#getUpsertValues(existData) }, {
+                conflictFields: conflictFields.map(field => this.#model.rawAttributes[field]?.field || field),
+                transaction
+            });
+
+            if (conflictCondition) {
+                savedData = await this.#model.findOne({ where: conflictCondition, transaction }) || savedData;
+            }
+
+            return savedData;
+        });
+
+        return { data: savedData, created: !existData };
+    }
+
+    /**
+     * Inserts or updates multiple records. Uses a single `INSERT ... ON CONFLICT / ON DUPLICATE KEY UPDATE` statement
+     * when the dialect supports it, otherwise (and on versioned, audited or tenant-scoped repositories) upserts the records one by one in a transaction.
+     * Soft-deleted records matching the conflict fields are restored.
+     * @param {Array<object>} data - The data to be saved.
+     * @param {Array<string>|string|null} [conflictFields=null] - Fields identifying the records, backed by a unique index. Defaults to the primary key.
+     * @param {Array<string>|null} [updateFields=null] - Fields updated on existing records. If null, every given field except the conflict fields.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @returns {Promise<Array<object>>} - The saved data.
+     */
+    bulkUpsertData = async (data, conflictFields = null, updateFields = null, transaction = null) => {
+        transaction = transaction || getCurrentTransaction();
+        conflictFields = [].concat(conflictFields || this.#primaryKey);
+
+        if (!this.#model.sequelize.dialect.supports.inserts?.updateOnDuplicate || this.#options.versionKey || this.#options.auditTrail
+            || this.#getTenantId() !== undefined) {
+            let upsertAll = async (transaction) => {
+                let savedData = [];
+                for (let item of data) {
+                    savedData.push((await this.upsertData(item, conflictFields, transaction)).data);
+                }
+                return savedData;
+            };
+
+            return transaction ? await upsertAll(transaction) : await this.withTransaction(upsertAll);
+        }
+
+        let restoreValues = this.#softDeleteKey ? this.#getRestoreValues() : {};
+        let values = data.map(item => ({ ...item, ...restoreValues }));
+
+        if (!updateFields) {
+            let createdAtKey = this.#model._timestampAttributes?.createdAt;
+            updateFields = [...new Set(data.flatMap(item => Object.keys(item)))]
+                .filter(field => this.#model.rawAttributes[field] && !conflictFields.includes(field) && field !== this.#primaryKey && field !== createdAtKey);
+        }
+
+        let updatedAtKey = this.#model._timestampAttributes?.updatedAt;
+        updateFields = [...new Set([...updateFields, ...Object.keys(restoreValues), ...(updatedAtKey ? [updatedAtKey] : [])])];
+
+        let savedData = await this.#model.bulkCreate(values, {
+            updateOnDuplicate: updateFields,
+            conflictAttributes: conflictFields,
+            transaction
+        });
+
+        await this.#invalidateCache(transaction);
         return savedData;
     }
 
+    /**
+     * Finds the record matching a condition, or creates it from the condition and the defaults.
+     * Soft-deleted records are not matched.
+     * @param {object} condition - The condition identifying the record. Its plain values are saved on creation.
+     * @param {object} [defaults={}] - Additional values used only when the record is created.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to ignore soft-deleted records.
+     * @returns {Promise<{data: object, created: boolean}>} - The found or created record and whether it was created.
+     */
+    findOrCreateData = async (condition, defaults = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+        transaction = transaction || getCurrentTransaction();
+
+        let whereCondition = { ...condition };
+        this.#applySoftDeleteCondition(whereCondition, softDeleteOption);
+        this.#applyTenantCondition(whereCondition);
+
+        return await this.#runWrite(AUDIT_ACTIONS.UPDATE, whereCondition, null, transaction, async (transaction) => {
+            let [data, created] = await this.#model.findOrCreate({
+                where: whereCondition,
+                defaults: this.#applyTenantValues(defaults || {}),
+                transaction
+            });
+
+            return { data, created };
+        });
+    }
+
     /**
      * Updates a record by its ID.
      * @param {number|string} id - The ID of the record to update.
      * @param {object} data - The new data for the record.
      * @param {Transaction|null} [transaction=null] - The transaction to be used.
      * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to check for soft deletion.
+     * @param {number|Array<number>|null} [expectedVersion=null] - Version(s) the client last read. Ignored when no versionKey is configured.
      * @returns {Promise<object>} - The updated record.
+     * @throws {VersionConflictError} - If the record is not at the expected version or was modified concurrently.
      */
-    updateDataById = async (id, data, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    updateDataById = async (id, data, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, expectedVersion = null) => {
+        transaction = transaction || getCurrentTransaction();
+
         let whereCondition = {};
         whereCondition[this.#primaryKey] = id;
 
-        if (softDeleteOption) {
-            whereCondition[this.#softDeleteKey] = 0;
-        }
+        this.#applySoftDeleteCondition(whereCondition, softDeleteOption);
 
-        let existData = await this.#model.findOne({
-            where: whereCondition,
-            transaction
-        });
+        this.#applyTenantCondition(whereCondition);
 
-        if (!existData) {
-            throw new Error(this.#messages.DataNotAvailable);
-        }
+        return await this.#runWrite(AUDIT_ACTIONS.UPDATE, whereCondition, null, transaction, async (transaction) => {
+            let existData = await this.#model.findOne({
+                where: whereCondition,
+                transaction
+            });
+
+            if (!existData) {
+                throw new DataNotAvailableError(this.#messages.DataNotAvailable);
+            }
+
+            let versionKey = this.#options.versionKey;
+
+            if (versionKey) {
+                let currentVersion = existData[versionKey];
+                this.#checkVersion(currentVersion, expectedVersion);
+
+                let [affectedRows] = await this.#model.update({ ...this.#applyTenantValues(data), ...this.#getVersionIncrement(existData) }, {
+                    where: { [this.#primaryKey]: id, [versionKey]: currentVersion },
+                    transaction
+                });
+
+                if (affectedRows === 0) {
+                    throw new VersionConflictError(this.#messages.VersionConflict);
+                }
 
-        Object.assign(existData, data);
-        let updatedData = await existData.save({ transaction });
-        return updatedData;
+                return await existData.reload({ transaction });
+            }
+
+            Object.assign(existData, this.#applyTenantValues(data));
+            let updatedData = await existData.save({ transaction });
+            return updatedData;
+        });
     }
 
     /**
@@ -112,19 +378,46 @@ class Repository {
      * @returns {Promise<[number, object[]]>} - The number of affected rows and affected rows data.
      */
     updateDataWithCondition = async (condition = {}, data = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+        transaction = transaction || getCurrentTransaction();
+
         if (condition == null) {
             condition = {}
         }
-        if (softDeleteOption) {
-            condition[this.#softDeleteKey] = 0;
-        }
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+        this.#applyTenantCondition(condition);
 
-        let updatedData = await this.#model.update(data, {
-            where: condition,
-            transaction
+        return await this.#runWrite(AUDIT_ACTIONS.UPDATE, condition, null, transaction, async (transaction) => {
+            let updatedData = await this.#model.update({ ...this.#applyTenantValues(data), ...this.#getVersionIncrement() }, {
+                where: condition,
+                transaction
+            });
+
+            return updatedData;
         });
+    }
+
+    /**
+     * Updates the records with the given IDs.
+     * @param {Array<number|string>} ids - The IDs of the records to update.
+     * @param {object} data - The new data for the records.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to check for soft deletion.
+     * @returns {Promise<[number, object[]]>} - The number of affected rows and affected rows data.
+     */
+    updateDataByIds = async (ids, data, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+        return await this.updateDataWithCondition({ [this.#primaryKey]: { [Op.in]: ids } }, data, transaction, softDeleteOption);
+    }
 
-        return updatedData;
+    /**
+     * Deletes the records with the given IDs.
+     * @param {Array<number|string>} ids - The IDs of the records to delete.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to perform a soft delete.
+     * @param {*} [actor=null] - Who deletes the records, stored in the deletedByKey column when configured.
+     * @returns {Promise<number>} - The number of rows affected.
+     */
+    deleteDataByIds = async (ids, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, actor = null) => {
+        return await this.deleteDataWithCondition({ [this.#primaryKey]: { [Op.in]: ids } }, transaction, softDeleteOption, actor);
     }
 
     /**
@@ -132,30 +425,39 @@ class Repository {
      * @param {object} condition - The condition to match the records. Use an empty object to delete all records.
      * @param {Transaction|null} [transaction=null] - The transaction to be used.
      * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to perform a soft delete.
+     * @param {*} [actor=null] - Who deletes the records, stored in the deletedByKey column when configured.
      * @returns {Promise<number>} - The number of rows affected.
      */
-    deleteDataWithCondition = async (condition = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
-        let removedRows = 0;
+    deleteDataWithCondition = async (condition = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, actor = null) => {
+        transaction = transaction || getCurrentTransaction();
 
         if (condition == null) {
             condition = {}
         }
 
         if (softDeleteOption) {
-            condition[this.#softDeleteKey] = 0;
-            removedRows = await this.#model.update(
-                { [this.#softDeleteKey]: 1 },
-                { where: condition, transaction }
-            );
-            removedRows = removedRows?.[0];
-        } else {
-            removedRows = await this.#model.destroy({
-                where: condition,
-                transaction
-            });
+            this.#applySoftDeleteCondition(condition, true);
         }
+        this.#applyTenantCondition(condition);
+
+        return await this.#runWrite(AUDIT_ACTIONS.DELETE, condition, actor, transaction, async (transaction) => {
+            let removedRows = 0;
+
+            if (softDeleteOption) {
+                removedRows = await this.#model.update(
+                    { ...this.#getSoftDeleteValues(actor), ...this.#getVersionIncrement() },
+                    { where: condition, transaction }
+                );
+                removedRows = removedRows?.[0];
+            } else {
+                removedRows = await this.#model.destroy({
+                    where: condition,
+                    transaction
+                });
+            }
 
-        return removedRows;
+            return removedRows;
+        });
     }
 
     /**
@@ -163,32 +465,180 @@ class Repository {
      * @param {number|string} id - The ID of the record to delete.
      * @param {Transaction|null} [transaction=null] - The transaction to be used.
      * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to perform a soft delete.
+     * @param {*} [actor=null] - Who deletes the record, stored in the deletedByKey column when configured.
+     * @param {number|Array<number>|null} [expectedVersion=null] - Version(s) the client last read. Ignored when no versionKey is configured.
      * @returns {Promise<boolean>} - True if the delete was successful.
+     * @throws {VersionConflictError} - If the record is not at the expected version or was modified concurrently.
      */
-    deleteDataById = async (id, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    deleteDataById = async (id, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, actor = null, expectedVersion = null) => {
+        transaction = transaction || getCurrentTransaction();
+
         let whereCondition = { [this.#primaryKey]: id };
 
-        if (softDeleteOption) {
-            whereCondition[this.#softDeleteKey] = 0;
+        this.#applySoftDeleteCondition(whereCondition, !!softDeleteOption);
+
+        this.#applyTenantCondition(whereCondition);
+
+        return await this.#runWrite(AUDIT_ACTIONS.DELETE, whereCondition, actor, transaction, async (transaction) => {
+            let data = await this.#model.findOne({
+                where: whereCondition,
+                transaction
+            });
+
+            if (!data) {
+                throw new DataNotAvailableError(this.#messages.DataNotAvailable);
+            }
+
+            let versionKey = this.#options.versionKey;
+
+            if (versionKey) {
+                let currentVersion = data[versionKey];
+                this.#checkVersion(currentVersion, expectedVersion);
+
+                let versionCondition = { [this.#primaryKey]: id, [versionKey]: currentVersion };
+                let removedRows = 0;
+
+                if (softDeleteOption) {
+                    removedRows = await this.#model.update(
+                        { ...this.#getSoftDeleteValues(actor), ...this.#getVersionIncrement(data) },
+                        { where: versionCondition, transaction }
+                    );
+                    removedRows = removedRows?.[0];
+                } else {
+                    removedRows = await this.#model.destroy({ where: versionCondition, transaction });
+                }
+
+                if (removedRows === 0) {
+                    throw new VersionConflictError(this.#messages.VersionConflict);
+                }
+
+                return true;
+            }
+
+            if (softDeleteOption) {
+                data.set(this.#getSoftDeleteValues(actor));
+                await data.save({ transaction });
+            } else {
+                await data.destroy({ transaction });
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Restores a soft-deleted record by its ID.
+     * @param {number|string} id - The ID of the record to restore.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @returns {Promise<object>} - The restored record.
+     * @throws {DataNotAvailableError} - If no soft-deleted record has this ID.
+     */
+    restoreDataById = async (id, transaction = null) => {
+        transaction = transaction || getCurrentTransaction();
+
+        let restoreValues = this.#getRestoreValues();
+        let whereCondition = { [this.#primaryKey]: id };
+
+        this.#applySoftDeleteCondition(whereCondition, Repository.ONLY_TRASHED);
+
+        this.#applyTenantCondition(whereCondition);
+
+        return await this.#runWrite(AUDIT_ACTIONS.RESTORE, whereCondition, null, transaction, async (transaction) => {
+            let data = await this.#model.findOne({
+                where: whereCondition,
+                transaction
+            });
+
+            if (!data) {
+                throw new DataNotAvailableError(this.#messages.DataNotAvailable);
+            }
+
+            data.set({ ...restoreValues, ...this.#getVersionIncrement(data) });
+            let restoredData = await data.save({ transaction });
+            return restoredData;
+        });
+    }
+
+    /**
+     * Restores the soft-deleted records matching a condition.
+     * @param {object} condition - The condition to match the records. Use an empty object to restore all soft-deleted records.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @returns {Promise<number>} - The number of rows restored.
+     */
+    restoreDataWithCondition = async (condition = {}, transaction = null) => {
+        transaction = transaction || getCurrentTransaction();
+
+        let restoreValues = this.#getRestoreValues();
+
+        if (condition == null) {
+            condition = {}
         }
 
-        let data = await this.#model.findOne({
-            where: whereCondition,
-            transaction
+        this.#applySoftDeleteCondition(condition, Repository.ONLY_TRASHED);
+
+        this.#applyTenantCondition(condition);
+
+        return await this.#runWrite(AUDIT_ACTIONS.RESTORE, condition, null, transaction, async (transaction) => {
+            let restoredRows = await this.#model.update({ ...restoreValues, ...this.#getVersionIncrement() }, {
+                where: condition,
+                transaction
+            });
+
+            return restoredRows?.[0];
+        });
+    }
+
+    /**
+     * Permanently deletes a record by its ID, whether it is soft deleted or not.
+     * @param {number|string} id - The ID of the record to delete.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @returns {Promise<boolean>} - True if the delete was successful.
+     * @throws {DataNotAvailableError} - If no record has this ID.
+     */
+    forceDeleteDataById = async (id, transaction = null) => {
+        transaction = transaction || getCurrentTransaction();
+
+        let whereCondition = { [this.#primaryKey]: id };
+        this.#applyTenantCondition(whereCondition);
+
+        return await this.#runWrite(AUDIT_ACTIONS.DELETE, whereCondition, null, transaction, async (transaction) => {
+            let data = await this.#model.findOne({
+                where: whereCondition,
+                transaction
+            });
+
+            if (!data) {
+                throw new DataNotAvailableError(this.#messages.DataNotAvailable);
+            }
+
+            await data.destroy({ transaction, force: true });
+            return true;
         });
+    }
 
-        if (!data) {
-            throw new Error(this.#messages.DataNotAvailable);
+    /**
+     * Retrieves the audit entries of a record, most recent first. In a tenant context, only the history of the records
+     * of the current tenant is returned.
+     * @param {number|string} id - The ID of the record.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @returns {Promise<Array<object>>} - The audit entries (action, before, after, actor, createdAt).
+     * @throws {Error} - If no audit trail is configured.
+     */
+    getAuditHistory = async (id, transaction = null) => {
+        transaction = transaction || getCurrentTransaction();
+
+        if (!this.#options.auditTrail) {
+            throw new Error("Audit trail is not configured for this repository.");
         }
 
-        if (softDeleteOption) {
-            data[this.#softDeleteKey] = 1;
-            await data.save({ transaction });
-        } else {
-            await data.destroy({ transaction });
+        if (this.#getTenantId() !== undefined) {
+            let whereCondition = this.#applyTenantCondition({ [this.#primaryKey]: id });
+            if (!await this.#model.count({ where: whereCondition, transaction, paranoid: false })) {
+                return [];
+            }
         }
 
-        return true;
+        return await this.#options.auditTrail.getHistory(this.#model.name, id, transaction);
     }
 
     /**
@@ -197,22 +647,31 @@ class Repository {
      * @param {Array<string>|null} [attributes=null] - The attributes to retrieve. If null, all attributes will be retrieved.
      * @param {Transaction|null} [transaction=null] - Optional transaction to be used.
      * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to include only non-soft-deleted records (default is based on softDeleteDefaultValue).
+     * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
      * @returns {Promise<object|null>} - A Promise that resolves to the retrieved record, or null if not found.
      */
-    getDataById = async (id, attributes = null, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    getDataById = async (id, attributes = null, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) => {
+        transaction = transaction || getCurrentTransaction();
+
         let whereCondition = { [this.#primaryKey]: id };
 
-        if (softDeleteOption) {
-            whereCondition[this.#softDeleteKey] = 0;
-        }
+        this.#applySoftDeleteCondition(whereCondition, softDeleteOption);
 
-        let data = await this.#model.findOne({
+        this.#applyTenantCondition(whereCondition);
+
+        let findData = async () => await this.#model.findOne({
             where: whereCondition,
             attributes,
+            include: this.#buildInclude(include),
             transaction
         });
 
-        return data;
+        if (!this.#isCacheable(transaction, include)) {
+            return await findData();
+        }
+
+        let values = await this.#cache.remember("byId", [whereCondition, attributes], async () => this.#toCacheValue(await findData()));
+        return this.#fromCacheValue(values);
     }
 
     /**
@@ -224,6 +683,7 @@ class Repository {
   * @param {string} [orderDir="DESC"] - The sorting direction for the orderBy field. Can be 'ASC' (ascending) or 'DESC' (descending). Defaults to 'DESC'.
   * @param {Transaction|null} [transaction=null] - Optional transaction object for executing the query within a database transaction.
   * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply the soft-delete condition to the query. Defaults to the class-level soft-delete setting.
+  * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
   *
   * @returns {Promise<Array<object>>} - A promise that resolves to an array of records matching the condition and selected attributes.
   *
@@ -231,24 +691,31 @@ class Repository {
   * // Fetch active users, retrieving only the name and email fields, ordered by the 'createdAt' field in ascending order.
   * const filteredData = await service.getAllData({ status: 'active' }, ['name', 'email'], 'createdAt', 'ASC');
   */
-    getAllData = async (condition = {}, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    getAllData = async (condition = {}, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) => {
+        transaction = transaction || getCurrentTransaction();
 
         if (condition == null) {
             condition = {}
         }
 
-        if (softDeleteOption) {
-            condition[this.#softDeleteKey] = 0;
-        }
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+
+        this.#applyTenantCondition(condition);
 
-        let data = await this.#model.findAll({
+        let findData = async () => await this.#model.findAll({
             where: condition,
             transaction,
             attributes,
+            include: this.#buildInclude(include),
             order: [[orderBy, orderDir]]
         });
 
-        return data;
+        if (!this.#isCacheable(transaction, include)) {
+            return await findData();
+        }
+
+        let values = await this.#cache.remember("all", [condition, attributes, orderBy, orderDir], async () => (await findData()).map(this.#toCacheValue));
+        return values.map(this.#fromCacheValue);
     }
 
     /**
@@ -259,22 +726,25 @@ class Repository {
    * @param {string} [orderDir="DESC"] - The direction to order by (ASC or DESC).
    * @param {Transaction|null} [transaction=null] - The transaction to be used.
    * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to check for soft deletion.
+   * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
    * @returns {Promise<object|null>} - The retrieved record, or null if not found.
    */
-    getSingleDataWithCondition = async (condition = {}, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    getSingleDataWithCondition = async (condition = {}, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) => {
+        transaction = transaction || getCurrentTransaction();
 
         if (condition == null) {
             condition = {}
         }
 
-        if (softDeleteOption) {
-            condition[this.#softDeleteKey] = 0;
-        }
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+
+        this.#applyTenantCondition(condition);
 
         let data = await this.#model.findOne({
             where: condition,
             transaction,
             attributes,
+            include: this.#buildInclude(include),
             order: [[orderBy, orderDir]]
         });
 
@@ -291,53 +761,219 @@ class Repository {
      * @param {string} [orderDir="DESC"] - The direction to order by (ASC or DESC).
      * @param {Transaction|null} [transaction=null] - The transaction to be used.
      * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to check for soft deletion.
+     * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
      * @returns {Promise<{count: number, rows: Array<object>}>} - The retrieved records with count and rows.
      */
-    getDataWithPagination = async (condition = {}, page = 1, pageSize = 10, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    getDataWithPagination = async (condition = {}, page = 1, pageSize = 10, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) => {
+        transaction = transaction || getCurrentTransaction();
+
         let offset = (page - 1) * pageSize;
 
         if (condition == null) {
             condition = {}
         }
 
-        if (softDeleteOption) {
-            condition[this.#softDeleteKey] = 0;
-        }
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+
+        this.#applyTenantCondition(condition);
 
-        let data = await this.#model.findAndCountAll({
+        let findData = async () => await this.#model.findAndCountAll({
             where: condition,
             limit: pageSize,
             offset,
             attributes,
+            include: this.#buildInclude(include),
             distinct: true,
             order: [[orderBy, orderDir]],
             transaction
         });
-        return data;
+
+        if (!this.#isCacheable(transaction, include)) {
+            return await findData();
+        }
+
+        let values = await this.#cache.remember("page", [condition, offset, pageSize, attributes, orderBy, orderDir], async () => {
+            let { count, rows } = await findData();
+            return { count, rows: rows.map(this.#toCacheValue) };
+        });
+        return { count: values.count, rows: values.rows.map(this.#fromCacheValue) };
     }
 
     /**
-     * Checks if any record exists that matches a given condition.
-   * @param {object} condition - The condition to match the records. Use an empty object to fetch all records.
-     * @param {Transaction|null} [transaction=null] - Optional transaction.
-     * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply soft delete condition.
-     * @returns {Promise<boolean>} - Returns true if any record exists, otherwise false.
+     * Retrieves records with keyset (cursor) pagination, ordered by a column with the primary key as tiebreaker.
+     * Unlike offset pagination, pages stay stable when rows are inserted or deleted between requests
+     * and the cost does not grow with the page number. The order column should not contain null values.
+     *
+     * @param {object} [condition={}] - The condition to filter the records. If empty, all records are fetched.
+     * @param {string|null} [cursor=null] - Opaque cursor returned by a previous call (nextCursor or prevCursor). If null, the first page is fetched.
+     * @param {number} [limit=10] - The number of records per page.
+     * @param {Array<string>|null} [attributes=null] - The attributes to retrieve. If null, all attributes will be retrieved.
+     * @param {string} [orderBy=this.#primaryKey] - The field to order by.
+     * @param {string} [orderDir="DESC"] - The direction to order by (ASC or DESC).
+     * @param {boolean} [withCount=true] - Whether to count the matching records. Set to false to skip the COUNT(*) query.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to check for soft deletion.
+     * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
+     * @returns {Promise<{rows: Array<object>, count: number|null, nextCursor: string|null, prevCursor: string|null}>} - The page of records and the cursors of the adjacent pages.
+     * @throws {HttpError} - 400 "InvalidCursor" if the cursor is malformed or was created with another ordering.
+     *
+     * @example
+     * const firstPage = await userRepository.getDataWithCursor({ status: 'active' }, null, 20, null, 'createdAt', 'DESC');
+     * const secondPage = await userRepository.getDataWithCursor({ status: 'active' }, firstPage.nextCursor, 20, null, 'createdAt', 'DESC');
      */
-    dataExists = async (condition = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    getDataWithCursor = async (condition = {}, cursor = null, limit = 10, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", withCount = true, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) => {
+        transaction = transaction || getCurrentTransaction();
+
         if (condition == null) {
             condition = {}
         }
 
-        if (softDeleteOption) {
-            condition[this.#softDeleteKey] = 0;
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+
+        this.#applyTenantCondition(condition);
+
+        orderDir = String(orderDir).toUpperCase() === "ASC" ? "ASC" : "DESC";
+
+        let position = cursor ? decodeCursor(cursor, orderBy, orderDir) : null;
+        let backward = position?.direction === "prev";
+
+        // Reading backward walks the reversed order from the cursor, the page is flipped back afterwards.
+        let ascending = (orderDir === "ASC") !== backward;
+        let direction = ascending ? "ASC" : "DESC";
+
+        let where = position
+            ? { [Op.and]: [condition, buildKeysetCondition(position, orderBy, this.#primaryKey, ascending)] }
+            : condition;
+
+        let order = orderBy === this.#primaryKey
+            ? [[this.#primaryKey, direction]]
+            : [[orderBy, direction], [this.#primaryKey, direction]];
+
+        // The cursor is built from the order column and the primary key, so both have to be selected.
+        if (Array.isArray(attributes)) {
+            attributes = [...new Set([...attributes, orderBy, this.#primaryKey])];
         }
 
-        let count = await this.#model.count({
-            where: condition,
+        let rows = await this.#model.findAll({
+            where,
+            limit: limit + 1,
+            attributes,
+            include: this.#buildInclude(include),
+            order,
             transaction
         });
 
-        return count > 0;
+        let hasMore = rows.length > limit;
+        rows = rows.slice(0, limit);
+
+        if (backward) {
+            rows.reverse();
+        }
+
+        let first = rows[0];
+        let last = rows[rows.length - 1];
+
+        let hasNext = backward ? !!last : hasMore;
+        let hasPrev = backward ? hasMore : !!(position && first);
+
+        let count = withCount
+            ? await this.#model.count({ where: condition, include: this.#buildInclude(include), distinct: true, transaction })
+            : null;
+
+        return {
+            rows,
+            count,
+            nextCursor: hasNext ? encodeCursor(last, orderBy, orderDir, this.#primaryKey, "next") : null,
+            prevCursor: hasPrev ? encodeCursor(first, orderBy, orderDir, this.#primaryKey, "prev") : null,
+        };
+    }
+
+    /**
+     * Processes the matching records in batches, walking the table with keyset conditions instead of offsets,
+     * so each batch costs the same whatever its position and no COUNT(*) is run. The batches are read in the given
+     * (or the current) transaction; records written by the callback in another order position may be skipped or visited again.
+     *
+     * @param {object} [condition={}] - The condition to filter the records. If empty, all records are processed.
+     * @param {object|null} [options=null] - Iteration options.
+     * @param {number} [options.batchSize=1000] - The number of records per batch.
+     * @param {string} [options.orderBy=this.#primaryKey] - The field to walk the table by, with the primary key as tiebreaker. It should not contain null values.
+     * @param {string} [options.orderDir="ASC"] - The direction to walk the table in (ASC or DESC).
+     * @param {Array<string>|null} [options.attributes=null] - The attributes to retrieve. If null, all attributes will be retrieved.
+     * @param {Array<string|object>|null} [options.include=null] - Associations to eager load (names or Sequelize include options).
+     * @param {Function} callback - Async function called with each batch (an array of records) and its index. Returning false stops the iteration.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to check for soft deletion.
+     * @returns {Promise<number>} - The number of records processed.
+     *
+     * @example
+     * await userRepository.eachBatch({ status: 'pending' }, { batchSize: 500 }, async (users) => {
+     *     await notifyUsers(users);
+     * });
+     */
+    eachBatch = async (condition = {}, options = null, callback, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+        let total = 0;
+        let index = 0;
+
+        for await (let batch of this.#readBatches(condition, options, transaction, softDeleteOption)) {
+            total += batch.length;
+
+            if (await callback(batch, index++) === false) {
+                break;
+            }
+        }
+
+        return total;
+    }
+
+    /**
+     * Iterates over the matching records one by one, reading them in keyset batches (see eachBatch).
+     * Leaving the loop early (break, return or throw) stops the reads.
+     *
+     * @param {object} [condition={}] - The condition to filter the records. If empty, all records are iterated.
+     * @param {object|null} [options=null] - Iteration options (batchSize, orderBy, orderDir, attributes, include), as for eachBatch.
+     * @param {Transaction|null} [transaction=null] - The transaction to be used.
+     * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to check for soft deletion.
+     * @returns {AsyncGenerator<object>} - The records.
+     *
+     * @example
+     * for await (const user of userRepository.iterate({ status: 'active' }, { orderBy: 'createdAt' })) {
+     *     await reindexUser(user);
+     * }
+     */
+    iterate = (condition = {}, options = null, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+        let batches = this.#readBatches(condition, options, transaction, softDeleteOption);
+
+        return (async function* () {
+            for await (let batch of batches) {
+                yield* batch;
+            }
+        })();
+    }
+
+    /**
+     * Checks if any record exists that matches a given condition.
+   * @param {object} condition - The condition to match the records. Use an empty object to fetch all records.
+     * @param {Transaction|null} [transaction=null] - Optional transaction.
+     * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply soft delete condition.
+     * @returns {Promise<boolean>} - Returns true if any record exists, otherwise false.
+     */
+    dataExists = async (condition = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+        transaction = transaction || getCurrentTransaction();
+
+        if (condition == null) {
+            condition = {}
+        }
+
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+
+        this.#applyTenantCondition(condition);
+
+        let count = await this.#model.count({
+            where: condition,
+            transaction
+        });
+
+        return count > 0;
     }
 
     /**
@@ -355,13 +991,15 @@ class Repository {
    */
 
     getTotalCount = async (condition = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+        transaction = transaction || getCurrentTransaction();
+
         if (condition == null) {
             condition = {}
         }
 
-        if (softDeleteOption) {
-            condition[this.#softDeleteKey] = 0;
-        }
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+
+        this.#applyTenantCondition(condition);
 
         let count = await this.#model.count({
             where: condition,
@@ -380,6 +1018,57 @@ class Repository {
         return keys;
     }
 
+    /**
+     * Retrieves the name of the model.
+     * @returns {string} - The model name.
+     */
+    getModelName = () => {
+        return this.#model.name;
+    }
+
+    /**
+     * Retrieves the attribute definitions of the model (types, nullability, defaults, ...).
+     * Unlike getModelKeys, this does not query the database.
+     * @returns {object} - The model attribute definitions keyed by attribute name.
+     */
+    getModelAttributes = () => {
+        return this.#model.rawAttributes;
+    }
+
+    /**
+     * Retrieves the default value of every model attribute (null when the attribute has none),
+     * e.g. to reset the fields omitted from a full replacement.
+     * @returns {object} - The default values keyed by attribute name.
+     */
+    getDefaultValues = () => {
+        let dialect = this.#model.sequelize.getDialect();
+        let values = {};
+
+        Object.entries(this.#model.rawAttributes).forEach(([name, attribute]) => {
+            values[name] = attribute.defaultValue === undefined ? null : Utils.toDefaultValue(attribute.defaultValue, dialect);
+        });
+
+        return values;
+    }
+
+    /**
+     * Retrieves the fields that can never be written by clients: the primary key, the soft-delete columns
+     * and the timestamp attributes managed by Sequelize (createdAt, updatedAt, deletedAt).
+     * @returns {Array<string>} - The read-only field names.
+     */
+    getReadOnlyFields = () => {
+        let fields = [
+            this.#primaryKey,
+            this.#softDeleteKey,
+            this.#options.deletedAtKey,
+            this.#options.deletedByKey,
+            ...Object.values(this.#model._timestampAttributes || {}),
+            this.#model._versionAttribute,
+            this.#options.versionKey,
+        ];
+        return [...new Set(fields.filter(Boolean))];
+    }
+
     /**
     * Retrieves the maximum value of a specific field based on the provided condition.
     *
@@ -396,13 +1085,15 @@ class Repository {
     */
 
     getMaxData = async (condition = {}, field = this.#primaryKey, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+        transaction = transaction || getCurrentTransaction();
+
         if (condition == null) {
             condition = {}
         }
 
-        if (softDeleteOption) {
-            condition[this.#softDeleteKey] = 0;
-        }
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+
+        this.#applyTenantCondition(condition);
 
         let data = await this.#model.max(
             field,
@@ -415,6 +1106,66 @@ class Repository {
         return data;
     }
 
+    /**
+     * Computes an aggregate (sum, avg, min, max or count) of the matching records, optionally per group.
+     * The field, groupBy and order keys are validated against the model attributes.
+     *
+     * @param {object} [condition={}] - The condition to filter the records. If empty, all records are considered.
+     * @param {object} options - The aggregation options.
+     * @param {string} options.fn - The aggregate function: sum, avg, min, max or count.
+     * @param {string|null} [options.field=null] - The aggregated attribute. Optional for count, which then counts the records.
+     * @param {Array<string>|string} [options.groupBy=[]] - The attributes to group by.
+     * @param {*} [options.having=null] - Condition on the aggregated value of each group (a value or Sequelize operators).
+     * @param {Array<Array<string>>} [options.order=[]] - Order of the groups, as `[key, direction]` pairs where key is "value" or a groupBy attribute.
+     * @param {Transaction|null} [transaction=null] - Optional transaction object for executing the query within a database transaction.
+     * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply soft-delete filtering during the operation. Defaults to the class-level soft-delete setting.
+     *
+     * @returns {Promise<*|Array<object>>} - The aggregated value (null when no record matches sum, avg, min or max) or, with groupBy,
+     * one object per group holding the groupBy attributes and the aggregated `value`.
+     * @throws {HttpError} - 400 "InvalidAggregate" if the function, the field, a groupBy attribute or an order key is not valid.
+     *
+     * @example
+     * const totalAmount = await orderRepository.aggregate({ status: 'paid' }, { fn: 'sum', field: 'amount' });
+     * const ordersPerStatus = await orderRepository.aggregate({}, { fn: 'count', groupBy: ['status'], having: { [Op.gt]: 10 }, order: [['value', 'DESC']] });
+     * // [{ status: 'paid', value: 120 }, { status: 'pending', value: 14 }]
+     */
+    aggregate = async (condition = {}, options = null, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+        transaction = transaction || getCurrentTransaction();
+
+        let attributes = this.#model.rawAttributes;
+        let { fn, field, groupBy, having, order } = normalizeAggregateOptions(options, attributes);
+
+        if (condition == null) {
+            condition = {}
+        }
+
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+
+        this.#applyTenantCondition(condition);
+
+        let { sequelize } = this.#model;
+        let column = (attribute) => sequelize.col(attributes[attribute].field || attribute);
+        let aggregation = sequelize.fn(fn.toUpperCase(), field == null ? sequelize.literal("*") : column(field));
+
+        let rows = await this.#model.findAll({
+            attributes: [...groupBy, [aggregation, "value"]],
+            where: condition,
+            group: groupBy.length > 0 ? groupBy.map(column) : undefined,
+            having: having == null ? undefined : sequelize.where(aggregation, having),
+            order: order.map(([key, direction]) => [key === "value" ? aggregation : column(key), direction]),
+            raw: true,
+            transaction
+        });
+
+        rows = rows.map(row => ({ ...row, value: toAggregateValue(fn, row.value, field == null ? null : attributes[field]) }));
+
+        if (groupBy.length === 0) {
+            return rows.length > 0 ? rows[0].value : null;
+        }
+
+        return rows;
+    }
+
     /**
      * Retrieves the primary key field name used by the service.
      * @returns {string|null} - The primary key field name.
@@ -438,6 +1189,515 @@ class Repository {
     getSoftDeleteOption = () => {
         return this.#softDeleteDefaultValue;
     }
+
+    /**
+     * Retrieves the column used for optimistic concurrency control.
+     * @returns {string|null} - The version key, or null if versioning is not configured.
+     */
+    getVersionKey = () => {
+        return this.#options.versionKey;
+    }
+
+    /**
+     * Invalidates every cached read of the repository, e.g. after the table was changed by another application.
+     * @returns {Promise<void>}
+     */
+    clearCache = async () => {
+        if (this.#cache) {
+            await this.#cache.invalidate();
+        }
+    }
+
+    /**
+     * Retrieves the column holding the tenant of a row.
+     * @returns {string|null} - The tenant key, or null if tenant scoping is not configured.
+     */
+    getTenantKey = () => {
+        return this.#options.tenantKey;
+    }
+
+    /**
+     * Retrieves the values marking a soft-deleted row as active again, e.g. to restore a record while updating it.
+     * @returns {object} - The values to update, or an empty object if soft deletion is not configured.
+     */
+    getRestoreValues = () => {
+        return this.#softDeleteKey ? this.#getRestoreValues() : {};
+    }
+
+    /**
+     * Retrieves the key used for soft deletion.
+     * @returns {string|null} - The soft-delete key, or null if soft deletion is not configured.
+     */
+    getSoftDeleteKey = () => {
+        return this.#softDeleteKey;
+    }
+
+    /**
+     * Retrieves the logger of the repository, also used by the services built on it.
+     * @returns {Logger|null} - The logger, or null when none is configured.
+     */
+    getLogger = () => {
+        return this.#logger;
+    }
+
+    /**
+     * Adds the soft-delete condition matching a read mode to a condition.
+     * @param {object} condition - The condition to extend.
+     * @param {boolean|string} softDeleteOption - true to exclude soft-deleted rows, Repository.ONLY_TRASHED to keep only them,
+     * false or Repository.WITH_TRASHED to apply no soft-delete condition.
+     * @returns {object} - The extended condition.
+     */
+    #applySoftDeleteCondition = (condition, softDeleteOption) => {
+        if (!this.#softDeleteKey || !softDeleteOption || softDeleteOption === Repository.WITH_TRASHED) {
+            return condition;
+        }
+
+        let activeValue = this.#softDeleteTimestamp ? null : 0;
+
+        if (softDeleteOption === Repository.ONLY_TRASHED) {
+            condition[this.#softDeleteKey] = this.#softDeleteTimestamp ? { [Op.not]: null } : { [Op.ne]: activeValue };
+        } else {
+            condition[this.#softDeleteKey] = activeValue;
+        }
+
+        return condition;
+    }
+
+    /**
+     * Retrieves the tenant of the current context for a tenant-scoped model.
+     * @param {string|null} [tenantKey=this.#options.tenantKey] - The tenant key of the model.
+     * @returns {*} - The tenant id, or undefined when tenant scoping is not configured or the context allows every tenant (Repository.ALL_TENANTS).
+     * @throws {TenantRequiredError} - If the model is tenant-scoped and there is no tenant context.
+     */
+    #getTenantId = (tenantKey = this.#options.tenantKey) => {
+        if (!tenantKey) {
+            return undefined;
+        }
+
+        let { tenantId } = getContext();
+
+        if (tenantId === Repository.ALL_TENANTS) {
+            return undefined;
+        }
+        if (tenantId == null) {
+            throw new TenantRequiredError(this.#messages.TenantRequired);
+        }
+
+        return tenantId;
+    }
+
+    /**
+     * Scopes a condition to the current tenant. A tenant condition already present is kept and combined with it.
+     * @param {object} condition - The condition to extend.
+     * @returns {object} - The extended condition.
+     */
+    #applyTenantCondition = (condition) => {
+        let tenantId = this.#getTenantId();
+
+        if (tenantId === undefined) {
+            return condition;
+        }
+
+        let tenantKey = this.#options.tenantKey;
+
+        if (condition[tenantKey] === undefined) {
+            condition[tenantKey] = tenantId;
+        } else {
+            condition[Op.and] = [...[].concat(condition[Op.and] || []), { [tenantKey]: tenantId }];
+        }
+
+        return condition;
+    }
+
+    /**
+     * Sets the tenant of written data to the current tenant.
+     * @param {object} data - The data to write.
+     * @returns {object} - A copy of the data with the tenant key, or the data itself when there is no tenant context.
+     * @throws {TenantMismatchError} - If the data holds the id of another tenant.
+     */
+    #applyTenantValues = (data) => {
+        let tenantId = this.#getTenantId();
+
+        if (tenantId === undefined) {
+            return data;
+        }
+
+        let tenantKey = this.#options.tenantKey;
+        let value = data?.[tenantKey];
+
+        if (value != null && String(value) !== String(tenantId)) {
+            throw new TenantMismatchError(this.#messages.TenantMismatch);
+        }
+
+        return { ...data, [tenantKey]: tenantId };
+    }
+
+    /**
+     * Builds the values marking a row as soft deleted.
+     * @param {*} actor - Who deletes the row, stored in the deletedByKey column when configured.
+     * @returns {object} - The values to update.
+     * @throws {Error} - If soft deletion is not configured.
+     */
+    #getSoftDeleteValues = (actor) => {
+        if (!this.#softDeleteKey) {
+            throw new Error("Soft delete is not configured for this repository.");
+        }
+
+        let now = new Date();
+        let values = { [this.#softDeleteKey]: this.#softDeleteTimestamp ? now : 1 };
+
+        if (this.#options.deletedAtKey) {
+            values[this.#options.deletedAtKey] = now;
+        }
+
+        if (this.#options.deletedByKey) {
+            values[this.#options.deletedByKey] = actor;
+        }
+
+        return values;
+    }
+
+    /**
+     * Builds the values marking a soft-deleted row as active again.
+     * @returns {object} - The values to update.
+     * @throws {Error} - If soft deletion is not configured.
+     */
+    #getRestoreValues = () => {
+        if (!this.#softDeleteKey) {
+            throw new Error("Soft delete is not configured for this repository.");
+        }
+
+        let values = { [this.#softDeleteKey]: this.#softDeleteTimestamp ? null : 0 };
+
+        if (this.#options.deletedAtKey) {
+            values[this.#options.deletedAtKey] = null;
+        }
+
+        if (this.#options.deletedByKey) {
+            values[this.#options.deletedByKey] = null;
+        }
+
+        return values;
+    }
+
+    /**
+     * Runs a write (logged at debug level when a logger is configured), invalidates the read cache and, when an audit trail is configured, records the field-level changes
+     * of every record it creates, updates or deletes. The write and the audit entries share a transaction (one is started when there is none).
+     * @param {string} action - The action recorded for the records existing before and after the write.
+     * Records that only exist after the write are recorded as created, records that only exist before as deleted.
+     * @param {object|null} condition - Condition matching the records the write changes, or null when it only creates records.
+     * @param {*} actor - Who performs the write. Defaults to the actor of the current context.
+     * @param {Transaction|null} transaction - The transaction of the write.
+     * @param {Function} write - Async function performing the write with the transaction. For creations it returns the created record(s).
+     * @returns {Promise<*>} - The value returned by the write.
+     */
+    #runWrite = async (action, condition, actor, transaction, write) => {
+        let auditTrail = this.#options.auditTrail;
+
+        if (this.#logger) {
+            let run = write;
+            write = async (transaction) => {
+                let stopTimer = startTimer();
+                let result = await run(transaction);
+                this.#logger.debug({ model: this.#model.name, action, duration: stopTimer() }, `${this.#model.name} ${action} written`);
+                return result;
+            };
+        }
+
+        if (!auditTrail) {
+            let result = await write(transaction);
+            await this.#invalidateCache(transaction);
+            return result;
+        }
+
+        let audit = async (transaction) => {
+            let beforeRows = condition ? await this.#model.findAll({ where: { ...condition }, transaction }) : [];
+            let result = await write(transaction);
+
+            let afterRows = [].concat(result || []);
+            if (beforeRows.length > 0) {
+                let ids = beforeRows.map(row => row[this.#primaryKey]);
+                afterRows = await this.#model.findAll({ where: { [this.#primaryKey]: { [Op.in]: ids } }, transaction, paranoid: false });
+            } else if (condition) {
+                afterRows = await this.#model.findAll({ where: { ...condition }, transaction, paranoid: false });
+            }
+
+            let toValues = (row) => typeof row?.get === "function" ? row.get({ plain: true }) : row;
+            let afterValues = new Map(afterRows.map(row => [String(row[this.#primaryKey]), toValues(row)]));
+            let { createdAt, updatedAt } = this.#model._timestampAttributes || {};
+            let entries = [];
+
+            let addEntry = (entityId, before, after) => {
+                let changes = auditTrail.diff(before, after, [createdAt, updatedAt].filter(Boolean));
+
+                if (changes) {
+                    let entryAction = !before ? AUDIT_ACTIONS.CREATE : (!after ? AUDIT_ACTIONS.DELETE : action);
+                    entries.push({ entity: this.#model.name, entityId, action: entryAction, ...changes, actor: actor ?? getContext().actor ?? null });
+                }
+            };
+
+            beforeRows.forEach(row => {
+                let entityId = String(row[this.#primaryKey]);
+                addEntry(entityId, toValues(row), afterValues.get(entityId) || null);
+                afterValues.delete(entityId);
+            });
+
+            afterValues.forEach((after, entityId) => addEntry(entityId, null, after));
+
+            await auditTrail.record(entries, transaction);
+            await this.#invalidateCache(transaction);
+            return result;
+        };
+
+        return transaction ? await audit(transaction) : await this.withTransaction(audit);
+    }
+
+    /**
+     * Checks whether a read can use the cache: reads in a transaction may see uncommitted data
+     * and included associations are not invalidated by this repository.
+     * @param {Transaction|null} transaction - The transaction of the read.
+     * @param {Array<string|object>|null} include - The included associations.
+     * @returns {boolean} - True if the read can be cached.
+     */
+    #isCacheable = (transaction, include) => {
+        return !!this.#cache && !transaction && include == null;
+    }
+
+    /**
+     * Invalidates the read cache after a write, once the outermost transaction is committed.
+     * @param {Transaction|null} transaction - The transaction of the write.
+     */
+    #invalidateCache = async (transaction) => {
+        if (!this.#cache) {
+            return;
+        }
+
+        if (!transaction) {
+            await this.#cache.invalidate();
+            return;
+        }
+
+        // Savepoints run their hooks when they are released, before the outer transaction commits.
+        let rootTransaction = transaction;
+        while (rootTransaction.parent) {
+            rootTransaction = rootTransaction.parent;
+        }
+
+        rootTransaction.afterCommit(() => this.#cache.invalidate());
+    }
+
+    /**
+     * Converts a record to the plain values stored in the cache.
+     * @param {object|null} record - The record.
+     * @returns {object|null} - The plain values.
+     */
+    #toCacheValue = (record) => {
+        return record ? record.get({ plain: true }) : null;
+    }
+
+    /**
+     * Rebuilds a record from cached values, restoring the date attributes serialized as strings.
+     * @param {object|null} values - The cached values.
+     * @returns {object|null} - The record.
+     */
+    #fromCacheValue = (values) => {
+        if (!values) {
+            return null;
+        }
+
+        Object.entries(this.#model.rawAttributes).forEach(([name, attribute]) => {
+            if (attribute.type?.key === "DATE" && typeof values[name] === "string") {
+                values[name] = new Date(values[name]);
+            }
+        });
+
+        return this.#model.build(values, { isNewRecord: false, raw: true });
+    }
+
+    /**
+     * Builds the condition matching the record identified by the conflict fields of an upsert.
+     * @param {object} data - The upserted data.
+     * @param {Array<string>} conflictFields - The conflict fields.
+     * @returns {object|null} - The condition, or null when a conflict field is missing (e.g. auto-increment key).
+     */
+    #getConflictCondition = (data, conflictFields) => {
+        if (conflictFields.some(field => data[field] === undefined)) {
+            return null;
+        }
+
+        return Object.fromEntries(conflictFields.map(field => [field, data[field]]));
+    }
+
+    /**
+     * Builds the values an upsert adds to the data: the restore values of a soft-deleted record
+     * and the next version of a versioned record.
+     * @param {object|null} existData - The record being updated, or null for an insert.
+     * @returns {object} - The additional values.
+     */
+    #getUpsertValues = (existData) => {
+        let values = this.#softDeleteKey ? this.#getRestoreValues() : {};
+
+        if (existData) {
+            Object.assign(values, this.#getVersionIncrement(existData));
+        }
+
+        return values;
+    }
+
+    /**
+     * Checks that a record is at one of the versions the client expects.
+     * @param {number|null} currentVersion - The version of the record.
+     * @param {number|string|Array<number|string>|null} expectedVersion - The expected version(s). If null, any version is accepted.
+     * @throws {VersionConflictError} - If the record is at another version.
+     */
+    #checkVersion = (currentVersion, expectedVersion) => {
+        if (expectedVersion == null) {
+            return;
+        }
+
+        let expectedVersions = [].concat(expectedVersion).map(String);
+
+        if (!expectedVersions.includes(String(currentVersion))) {
+            throw new VersionConflictError(this.#messages.VersionConflict);
+        }
+    }
+
+    /**
+     * Builds the value incrementing the version column, from the version of a record or in SQL for condition-based writes.
+     * @param {object|null} [record=null] - The record being written, if any.
+     * @returns {object} - The values to update, empty when versioning is not configured.
+     */
+    #getVersionIncrement = (record = null) => {
+        let versionKey = this.#options.versionKey;
+
+        if (!versionKey) {
+            return {};
+        }
+
+        if (record) {
+            return { [versionKey]: (record[versionKey] || 0) + 1 };
+        }
+
+        let field = this.#model.rawAttributes[versionKey]?.field || versionKey;
+        let column = this.#model.sequelize.getQueryInterface().quoteIdentifier(field);
+        return { [versionKey]: this.#model.sequelize.literal(`COALESCE(${column}, 0) + 1`) };
+    }
+
+    /**
+     * Reads the matching records in keyset batches. The soft-delete and tenant conditions and the transaction
+     * are resolved right away, so they do not depend on where the batches are consumed.
+     * @param {object} condition - The condition to filter the records.
+     * @param {object|null} options - Iteration options (see eachBatch).
+     * @param {Transaction|null} transaction - The transaction to be used.
+     * @param {boolean|string} softDeleteOption - Whether to check for soft deletion.
+     * @returns {AsyncGenerator<Array<object>>} - The non-empty batches.
+     * @throws {Error} - If the batch size is not a positive integer.
+     */
+    #readBatches = (condition, options, transaction, softDeleteOption) => {
+        let { batchSize = 1000, orderBy = this.#primaryKey, orderDir = "ASC", attributes = null, include = null } = options || {};
+
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new Error("The batch size must be a positive integer.");
+        }
+
+        transaction = transaction || getCurrentTransaction();
+
+        if (condition == null) {
+            condition = {}
+        }
+
+        this.#applySoftDeleteCondition(condition, softDeleteOption);
+
+        this.#applyTenantCondition(condition);
+
+        let ascending = String(orderDir).toUpperCase() !== "DESC";
+        let direction = ascending ? "ASC" : "DESC";
+        let primaryKey = this.#primaryKey;
+
+        let order = orderBy === primaryKey
+            ? [[primaryKey, direction]]
+            : [[orderBy, direction], [primaryKey, direction]];
+
+        // The next batch starts after the order value and primary key of the last record, so both have to be selected.
+        if (Array.isArray(attributes)) {
+            attributes = [...new Set([...attributes, orderBy, primaryKey])];
+        }
+
+        let model = this.#model;
+        include = this.#buildInclude(include);
+
+        return (async function* () {
+            let position = null;
+
+            while (true) {
+                let rows = await model.findAll({
+                    where: position ? { [Op.and]: [condition, buildKeysetCondition(position, orderBy, primaryKey, ascending)] } : condition,
+                    limit: batchSize,
+                    attributes,
+                    include,
+                    order,
+                    transaction
+                });
+
+                if (rows.length === 0) {
+                    return;
+                }
+
+                yield rows;
+
+                if (rows.length < batchSize) {
+                    return;
+                }
+
+                let last = rows[rows.length - 1];
+                position = { value: last.get(orderBy), key: last.get(primaryKey) };
+            }
+        })();
+    }
+
+    /**
+     * Normalizes include options and filters out the soft-deleted rows of every (nested) association
+     * whose model is managed by a Repository with a soft-delete key, and the rows of other tenants
+     * when it is managed by a Repository with a tenant key.
+     * @param {Array<string|object>|string|object|null} include - Association names or Sequelize include options.
+     * @param {Model} [parentModel=this.#model] - The model the associations belong to.
+     * @returns {Array<object>|undefined} - The Sequelize include options, or undefined when nothing is included.
+     */
+    #buildInclude = (include, parentModel = this.#model) => {
+        if (include == null) {
+            return undefined;
+        }
+
+        return [].concat(include).map(item => {
+            let options = typeof item === "string" ? { association: item } : { ...item };
+            let associationName = typeof options.association === "string" ? options.association : options.association?.as;
+            let targetModel = options.model || parentModel.associations?.[associationName]?.target;
+            let softDelete = targetModel ? softDeleteKeys.get(targetModel) : null;
+            let tenantKey = targetModel ? tenantKeys.get(targetModel) : null;
+            let tenantId = this.#getTenantId(tenantKey);
+
+            if (softDelete) {
+                options.where = { ...options.where, [softDelete.key]: softDelete.activeValue };
+                // A where clause makes Sequelize use an INNER JOIN unless told otherwise.
+                if (options.required === undefined) {
+                    options.required = false;
+                }
+            }
+
+            if (tenantId !== undefined) {
+                options.where = { ...options.where, [tenantKey]: tenantId };
+                if (options.required === undefined) {
+                    options.required = false;
+                }
+            }
+
+            if (options.include) {
+                options.include = this.#buildInclude(options.include, targetModel);
+            }
+
+            return options;
+        });
+    }
 }
 
 module.exports = Repository;
@@ -0,0 +1,99 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Response formatters used by the Controller to write success and error responses.
+ *
+ * A formatter implements two methods:
+ *   success(res, { data, status, message })                       -> writes a success response
+ *   error(res, { status, code, messageKey, message, errors })    -> writes an error response
+ * where `code` is the stable, machine-readable code of the message key (see toErrorCode).
+ */
+
+const http = require("http");
+
+/**
+ * Converts a message key (or an HTTP status phrase) to a stable error code, e.g. "DataNotAvailable" to "DATA_NOT_AVAILABLE".
+ * @param {string} key - The message key.
+ * @returns {string} - The error code.
+ */
+const toErrorCode = (key) => String(key)
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toUpperCase();
+
+/**
+ * Legacy envelope: `{ data, message, status }`, with the field-level errors in `data.errors` and the error code in `code`.
+ * @type {object}
+ */
+const envelopeFormatter = {
+    success: (res, { data, status, message }) => res.status(status).json({
+        data,
+        message,
+        status
+    }),
+    error: (res, { status, code, message, errors }) => res.status(status).json({
+        data: errors ? { errors } : {},
+        message,
+        status,
+        code
+    }),
+};
+
+/**
+ * Creates the RFC 7807 formatter: errors are `application/problem+json` documents, successes use the legacy envelope.
+ * @param {object} [options={}] - Formatter options.
+ * @param {string|null} [options.typeBaseUri=null] - Base URI of the problem types, followed by the kebab-cased message key
+ * (e.g. "https://api.example.com/problems/" gives ".../problems/data-not-available"). If null, the type is "about:blank"
+ * and the title is the HTTP status phrase, as the RFC recommends.
+ * @returns {object} - The formatter.
+ * @example
+ * const formatter = createProblemFormatter({ typeBaseUri: "https://api.example.com/problems/" });
+ */
+const createProblemFormatter = (options = {}) => {
+    let { typeBaseUri = null } = options;
+
+    return {
+        success: envelopeFormatter.success,
+        error: (res, { status, code, messageKey, message, errors }) => {
+            let problem = {
+                type: typeBaseUri && messageKey ? `${typeBaseUri}${toErrorCode(messageKey).toLowerCase().replace(/_/g, "-")}` : "about:blank",
+                title: http.STATUS_CODES[status] || "Error",
+                status,
+                detail: message,
+                instance: res.req?.originalUrl,
+                code,
+            };
+
+            if (errors) {
+                problem.errors = errors;
+            }
+
+            return res.status(status).type("application/problem+json").json(problem);
+        },
+    };
+}
+
+/**
+ * Raw payloads: a success payload holding a single property (e.g. `{ saveData: record }`) is sent as its value,
+ * other payloads as they are; errors are `{ code, message, errors }`.
+ * @type {object}
+ */
+const rawFormatter = {
+    success: (res, { data, status }) => {
+        let keys = data && typeof data === "object" && !Array.isArray(data) ? Object.keys(data) : [];
+        return res.status(status).json(keys.length === 1 ? data[keys[0]] : data);
+    },
+    error: (res, { status, code, message, errors }) => res.status(status).json(errors ? { code, message, errors } : { code, message }),
+};
+
+/**
+ * Built-in formatters, selected by name with the `responseFormatter` controller option.
+ * @type {{envelope: object, problem: object, raw: object}}
+ */
+const RESPONSE_FORMATTERS = {
+    envelope: envelopeFormatter,
+    problem: createProblemFormatter(),
+    raw: rawFormatter,
+};
+
+module.exports = { RESPONSE_FORMATTERS, createProblemFormatter, toErrorCode };
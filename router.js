@@ -0,0 +1,162 @@
+/**
+ * Author - Mangesh Balkawade : 7378336345
+ * Router factory that mounts the conventional CRUD routes of a Controller on an Express router.
+ */
+
+const express = require("express");
+const { PATCH_CONTENT_TYPES } = require("./patch");
+
+/**
+ * Conventional route definitions, keyed by controller action name.
+ * Static paths are always registered before parameterised ones, whatever their order here,
+ * so a path such as "/paginate" can never be shadowed by "/:id".
+ * Optional routes are only mounted when enabled in the `actions` option. An enabled route replaces
+ * the routes listed before it on the same method and path (e.g. upsertData replaces updateData on PUT /:id).
+ * Route middleware (e.g. the parser of the patch documents) runs before the middleware given in the `actions` option.
+ * @type {Array<{action: string, method: string, path: string, optional?: boolean, middleware?: Array<Function>}>}
+ */
+const CRUD_ROUTES = [
+    { action: "saveData", method: "post", path: "/" },
+    { action: "getAllData", method: "get", path: "/" },
+    { action: "getAllDataWithPagination", method: "get", path: "/paginate" },
+    { action: "getDataById", method: "get", path: "/:id" },
+    { action: "updateData", method: "put", path: "/:id" },
+    { action: "patchData", method: "patch", path: "/:id", middleware: [express.json({ type: PATCH_CONTENT_TYPES })] },
+    { action: "deleteData", method: "delete", path: "/:id" },
+    { action: "getTrashedData", method: "get", path: "/trashed", optional: true },
+    { action: "restoreData", method: "post", path: "/:id/restore", optional: true },
+    { action: "forceDeleteData", method: "delete", path: "/:id/force", optional: true },
+    { action: "saveBulkData", method: "post", path: "/bulk", optional: true },
+    { action: "updateBulkData", method: "patch", path: "/bulk", optional: true },
+    { action: "deleteBulkData", method: "delete", path: "/bulk", optional: true },
+    { action: "upsertData", method: "put", path: "/:id", optional: true },
+    { action: "getAuditHistory", method: "get", path: "/:id/history", optional: true },
+    { action: "exportData", method: "get", path: "/export", optional: true },
+    { action: "getAggregateData", method: "get", path: "/aggregate", optional: true },
+];
+
+/**
+ * Resolves the list of routes to mount from the conventional definitions and the given options.
+ * @param {object} [options={}] - Same options as accepted by createCrudRouter.
+ * @returns {Array<{action: string, method: string, path: string, middleware: Array<Function>}>} - Routes in registration order.
+ */
+const resolveCrudRoutes = (options = {}) => {
+    let { idParam = "id", actions = {} } = options;
+    let routes = [];
+
+    CRUD_ROUTES.forEach(route => {
+        let actionOption = actions[route.action];
+
+        if (actionOption === false || (actionOption == null && route.optional)) {
+            return;
+        }
+
+        if (actionOption == null || actionOption === true) {
+            actionOption = {};
+        }
+
+        let path = (actionOption.path || route.path).replace(/:id\b/g, `:${idParam}`);
+        let method = (actionOption.method || route.method).toLowerCase();
+
+        routes = routes.filter(existing => existing.method !== method || existing.path !== path);
+        routes.push({
+            action: route.action,
+            method,
+            path,
+            middleware: [...(route.middleware || []), ...[].concat(actionOption.middleware || [])],
+        });
+    });
+
+    let staticRoutes = routes.filter(route => !route.path.includes(":"));
+    let paramRoutes = routes.filter(route => route.path.includes(":"));
+
+    return [...staticRoutes, ...paramRoutes];
+}
+
+/**
+ * Creates an Express router exposing the CRUD actions of the given controller on conventional paths.
+ *
+ * | Action                    | Method | Path          |
+ * |---------------------------|--------|---------------|
+ * | saveData                  | POST   | /             |
+ * | getAllData                | GET    | /             |
+ * | getAllDataWithPagination  | GET    | /paginate     |
+ * | getDataById               | GET    | /:id          |
+ * | updateData                | PUT    | /:id          |
+ * | patchData                 | PATCH  | /:id          |
+ * | deleteData                | DELETE | /:id          |
+ * | getTrashedData (opt-in)   | GET    | /trashed      |
+ * | restoreData (opt-in)      | POST   | /:id/restore  |
+ * | forceDeleteData (opt-in)  | DELETE | /:id/force    |
+ * | saveBulkData (opt-in)     | POST   | /bulk         |
+ * | updateBulkData (opt-in)   | PATCH  | /bulk         |
+ * | deleteBulkData (opt-in)   | DELETE | /bulk         |
+ * | upsertData (opt-in)       | PUT    | /:id          |
+ * | getAuditHistory (opt-in)  | GET    | /:id/history  |
+ * | exportData (opt-in)       | GET    | /export       |
+ * | getAggregateData (opt-in) | GET    | /aggregate    |
+ *
+ * Right before the action, every route runs the `requestContext` middleware of the controller (when it has one),
+ * which makes the actor of the request (resolved after the authentication middleware) available to the repositories.
+ * Actions are wrapped with the `logAction` method of the controller (when it has one), which logs their outcome.
+ *
+ * @param {Controller} controller - The controller instance whose actions are mounted.
+ * @param {object} [options={}] - Router options.
+ * @param {string} [options.idParam="id"] - Name of the route parameter holding the record ID.
+ * @param {Array<Function>} [options.middleware=[]] - Middleware applied to every mounted route, before the per-action middleware.
+ * @param {object} [options.actions={}] - Per-action overrides keyed by action name. Use `false` to disable an action,
+ * `true` to enable an opt-in action, or an object `{ path, method, middleware }` to rename it or inject middleware (auth, validation, ...).
+ * @param {object} [options.routerOptions={}] - Options passed to `express.Router()`.
+ * @returns {Router} - The Express router with the CRUD routes mounted.
+ * @example
+ * const router = createCrudRouter(userController, {
+ *     idParam: "userId",
+ *     middleware: [authenticate],
+ *     actions: {
+ *         saveData: { middleware: [validateFields("name", "age")] },
+ *         getAllData: false,
+ *     }
+ * });
+ * app.use("/users", router);
+ */
+const createCrudRouter = (controller, options = {}) => {
+    let { idParam = "id", middleware = [], routerOptions = {} } = options;
+    let router = express.Router(routerOptions);
+
+    // Controller actions read the record ID from req.params.id.
+    let aliasIdParam = (req, res, next) => {
+        if (req.params[idParam] !== undefined) {
+            req.params.id = req.params[idParam];
+        }
+        next();
+    }
+
+    resolveCrudRoutes(options).forEach(route => {
+        let handler = controller[route.action];
+
+        if (typeof handler !== "function") {
+            throw new Error(`Controller does not implement the "${route.action}" action.`);
+        }
+
+        // Wrapped here rather than in the constructor, so that the actions overridden by a subclass are logged too.
+        if (typeof controller.logAction === "function") {
+            handler = controller.logAction(route.action, handler);
+        }
+
+        let handlers = [...[].concat(middleware), ...route.middleware, handler];
+
+        if (typeof controller.requestContext === "function") {
+            handlers.splice(handlers.length - 1, 0, controller.requestContext);
+        }
+
+        if (idParam !== "id" && route.path.includes(`:${idParam}`)) {
+            handlers.unshift(aliasIdParam);
+        }
+
+        router[route.method](route.path, ...handlers);
+    });
+
+    return router;
+}
+
+module.exports = { createCrudRouter, resolveCrudRoutes, CRUD_ROUTES };
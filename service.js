@@ -1,4 +1,8 @@
 const { Op } = require("sequelize");
+const { buildFilterCondition } = require("./filter");
+const { runWithContext, getCurrentTransaction } = require("./context");
+const Repository = require("./repository");
+const { HttpError } = require("./errors");
 
 /**
  * Author - Mangesh Balkawade : 7378336345
@@ -14,6 +18,12 @@ const { Op } = require("sequelize");
  * @property {object} repository - Repository instance responsible for database operations.
  * @property {string} primaryKey - The name of the primary key field for the data model.
  * @property {boolean} softDeleteDefaultValue - Default value for considering soft deletion in queries.
+ * Read methods also accept Repository.WITH_TRASHED or Repository.ONLY_TRASHED as softDeleteOption.
+ * @property {Logger|null} logger - Logger of the repository, used to log failing hooks.
+ *
+ * Lifecycle hooks (see Service.HOOKS) add business logic around the CRUD methods without overriding them.
+ * Write hooks run in the active transaction (a transaction is started when there is none), so a hook that throws
+ * (e.g. an OperationAbortedError) rolls the whole operation back.
  * 
  * @example
  * const service = new Service(userRepository);
@@ -23,20 +33,104 @@ const { Op } = require("sequelize");
 
 class Service {
 
+  /**
+   * Supported lifecycle hooks and their arguments. `options` holds the active `transaction`
+   * (and `actor` and `force` for the delete hooks).
+   *
+   * - beforeCreate(data, options) - may return the data to save.
+   * - afterCreate(record, options)
+   * - beforeUpdate(oldRecord, data, options) - may return the data to update.
+   * - afterUpdate(record, oldRecord, options)
+   * - beforeDelete(record, options)
+   * - afterDelete(record, options)
+   * - afterFetch(record, options) - may return the record to send back, called for every fetched record.
+   *
+   * @type {Array<string>}
+   */
+  static HOOKS = ["beforeCreate", "afterCreate", "beforeUpdate", "afterUpdate", "beforeDelete", "afterDelete", "afterFetch"];
+
   #repository = null;
   #primaryKey = null;
   #softDeleteDefaultValue = false;
+  #hooks = {};
+  #logger = null;
 
   /**
    * @constructor
    * @param {object} repository - The repository instance to be used for database operations.
+   * @param {object|null} [hooks=null] - Lifecycle hooks to register, keyed by hook name (a function or an array of functions).
    */
-  constructor(repository) {
+  constructor(repository, hooks = null) {
     this.#repository = repository;
     this.#primaryKey = repository.getPrimaryKeyField();
     this.#softDeleteDefaultValue = repository.getSoftDeleteOption();
+    this.#logger = repository.getLogger();
+
+    Service.HOOKS.forEach(name => {
+      this.#hooks[name] = [];
+    });
+
+    if (hooks) {
+      Object.entries(hooks).forEach(([name, hook]) => {
+        [].concat(hook).forEach(fn => this.addHook(name, fn));
+      });
+    }
   }
 
+  /**
+   * Registers a lifecycle hook. Hooks of the same name run in registration order; a hook may be async.
+   * Throwing from a hook (e.g. an OperationAbortedError) aborts the operation.
+   *
+   * @param {string} name - The hook name, one of Service.HOOKS.
+   * @param {Function} hook - The hook function.
+   * @returns {Service} - The service, for chaining.
+   * @throws {Error} - If the hook name is unknown.
+   * @example
+   * userService.addHook("beforeCreate", async (data) => ({ ...data, password: await bcrypt.hash(data.password, 10) }));
+   * userService.addHook("afterCreate", (user) => mailer.sendWelcome(user.email));
+   */
+  addHook = (name, hook) => {
+    if (!this.#hooks[name]) {
+      throw new Error(`Unknown hook "${name}". Supported hooks: ${Service.HOOKS.join(", ")}.`);
+    }
+
+    this.#hooks[name].push(hook);
+    return this;
+  };
+
+  /**
+   * Removes a previously registered lifecycle hook.
+   * @param {string} name - The hook name.
+   * @param {Function} hook - The hook function to remove.
+   * @returns {Service} - The service, for chaining.
+   */
+  removeHook = (name, hook) => {
+    if (this.#hooks[name]) {
+      this.#hooks[name] = this.#hooks[name].filter(fn => fn !== hook);
+    }
+
+    return this;
+  };
+
+  /**
+   * Runs a callback as a unit of work in a managed transaction. Every Service and Repository call made inside the callback
+   * uses the transaction automatically, so it no longer has to be passed to each call.
+   * The transaction is committed when the callback resolves and rolled back when it throws.
+   * Nested calls create a savepoint: a failure inside the nested callback only rolls back its own work if the error is caught.
+   *
+   * @param {Function} callback - Async function receiving the transaction.
+   * @param {object} [options={}] - Sequelize transaction options (isolationLevel, ...).
+   * @returns {Promise<*>} - The value returned by the callback.
+   * @example
+   * const user = await userService.withTransaction(async () => {
+   *   let user = await userService.saveData({ name: 'John' });
+   *   await profileService.saveData({ userId: user.userId });
+   *   return user;
+   * });
+   */
+  withTransaction = async (callback, options = {}) =>
+    await this.#repository.withTransaction(callback, options);
+
   /**
    * Saves new data into the database.
    * @param {object} data - The data to be saved.
@@ -45,8 +139,18 @@ class Service {
    * @example
    * const newData = await service.saveData({ name: 'John', age: 30 });
    */
-  saveData = async (data, transaction = null) =>
-    await this.#repository.saveData(data, transaction);
+  saveData = async (data, transaction = null) => {
+    if (!this.#hasHooks("beforeCreate", "afterCreate")) {
+      return await this.#repository.saveData(data, transaction);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) => {
+      data = await this.#runHooks("beforeCreate", [data, { transaction }], 0);
+      let savedData = await this.#repository.saveData(data, transaction);
+      await this.#runHooks("afterCreate", [savedData, { transaction }]);
+      return savedData;
+    });
+  };
 
   /**
    * Saves multiple records into the database in bulk.
@@ -56,8 +160,97 @@ class Service {
    * @example
    * const bulkData = await service.saveBulkData([{ name: 'John' }, { name: 'Jane' }]);
    */
-  saveBulkData = async (data, transaction = null) =>
-    await this.#repository.saveBulkData(data, transaction);
+  saveBulkData = async (data, transaction = null) => {
+    if (!this.#hasHooks("beforeCreate", "afterCreate")) {
+      return await this.#repository.saveBulkData(data, transaction);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) => {
+      let items = [];
+      for (let item of data) {
+        items.push(await this.#runHooks("beforeCreate", [item, { transaction }], 0));
+      }
+
+      let savedData = await this.#repository.saveBulkData(items, transaction);
+
+      for (let record of savedData) {
+        await this.#runHooks("afterCreate", [record, { transaction }]);
+      }
+      return savedData;
+    });
+  };
+
+  /**
+   * Inserts a record, or updates the record having the same values in the conflict fields, in a single statement.
+   * A soft-deleted record matching the conflict fields is restored with the new data.
+   * When create or update hooks are registered, the record is looked up first and saved with saveData or updateDataById so the hooks run.
+   * @param {object} data - The data to be saved.
+   * @param {Array<string>|string|null} [conflictFields=null] - Fields identifying the record, backed by a unique index. Defaults to the primary key.
+   * @param {Transaction|null} [transaction=null] - Optional transaction for the upsert.
+   * @returns {Promise<{data: object, created: boolean}>} - The saved record and whether it was created.
+   * @example
+   * const { data, created } = await service.upsertData({ email: 'john@example.com', name: 'John' }, ['email']);
+   */
+  upsertData = async (data, conflictFields = null, transaction = null) => {
+    if (!this.#hasHooks("beforeCreate", "afterCreate", "beforeUpdate", "afterUpdate")) {
+      return await this.#repository.upsertData(data, conflictFields, transaction);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) =>
+      await this.#upsertWithHooks(data, [].concat(conflictFields || this.#primaryKey), null, transaction));
+  };
+
+  /**
+   * Inserts or updates multiple records, in a single statement when the dialect supports it.
+   * When create or update hooks are registered, the records are upserted one by one so the hooks run.
+   * @param {Array<object>} data - The data to be saved.
+   * @param {Array<string>|string|null} [conflictFields=null] - Fields identifying the records, backed by a unique index. Defaults to the primary key.
+   * @param {Array<string>|null} [updateFields=null] - Fields updated on existing records. If null, every given field except the conflict fields.
+   * @param {Transaction|null} [transaction=null] - Optional transaction for the upsert.
+   * @returns {Promise<Array<object>>} - The saved data.
+   * @example
+   * await service.bulkUpsertData(products, ['sku'], ['price', 'stock']);
+   */
+  bulkUpsertData = async (data, conflictFields = null, updateFields = null, transaction = null) => {
+    if (!this.#hasHooks("beforeCreate", "afterCreate", "beforeUpdate", "afterUpdate")) {
+      return await this.#repository.bulkUpsertData(data, conflictFields, updateFields, transaction);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) => {
+      let savedData = [];
+      for (let item of data) {
+        savedData.push((await this.#upsertWithHooks(item, [].concat(conflictFields || this.#primaryKey), updateFields, transaction)).data);
+      }
+      return savedData;
+    });
+  };
+
+  /**
+   * Finds the record matching a condition, or creates it from the condition and the defaults. Soft-deleted records are not matched.
+   * @param {object} condition - The condition identifying the record. Its plain values are saved on creation.
+   * @param {object} [defaults={}] - Additional values used only when the record is created.
+   * @param {Transaction|null} [transaction=null] - Optional transaction for the operation.
+   * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to ignore soft-deleted records.
+   * @returns {Promise<{data: object, created: boolean}>} - The found or created record and whether it was created.
+   * @example
+   * const { data: tag, created } = await tagService.findOrCreateData({ name: 'urgent' }, { color: 'red' });
+   */
+  findOrCreateData = async (condition, defaults = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    if (!this.#hasHooks("beforeCreate", "afterCreate", "afterFetch")) {
+      return await this.#repository.findOrCreateData(condition, defaults, transaction, softDeleteOption);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) => {
+      let existData = await this.getSingleDataWithCondition({ ...condition }, null, this.#primaryKey, "DESC", transaction, softDeleteOption);
+
+      if (existData) {
+        return { data: existData, created: false };
+      }
+
+      let values = Object.fromEntries(Object.entries(condition).filter(([, value]) => value === null || typeof value !== "object"));
+      return { data: await this.saveData({ ...values, ...defaults }, transaction), created: true };
+    });
+  };
 
   /**
    * Updates existing data in the database by ID.
@@ -65,15 +258,35 @@ class Service {
    * @param {object} data - The new data to update in the record.
    * @param {Transaction|null} [transaction=null] - Optional transaction for the update operation.
    * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to include soft-delete condition during the update.
+   * @param {number|Array<number>|null} [expectedVersion=null] - Version(s) the client last read, checked when the repository has a versionKey.
    * @returns {Promise<object>} - The updated data.
+   * @throws {VersionConflictError} - If the record is not at the expected version.
    * @example
    * const updatedData = await service.updateDataById(1, { name: 'John Doe' });
    */
-  updateDataById = async (id, data, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
-    await this.#repository.updateDataById(id, data, transaction, softDeleteOption);
+  updateDataById = async (id, data, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, expectedVersion = null) => {
+    if (!this.#hasHooks("beforeUpdate", "afterUpdate")) {
+      return await this.#repository.updateDataById(id, data, transaction, softDeleteOption, expectedVersion);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) => {
+      let oldData = await this.#repository.getDataById(id, null, transaction, softDeleteOption);
+
+      // Let the repository report the missing record.
+      if (!oldData) {
+        return await this.#repository.updateDataById(id, data, transaction, softDeleteOption, expectedVersion);
+      }
+
+      data = await this.#runHooks("beforeUpdate", [oldData, data, { transaction }], 1);
+      let updatedData = await this.#repository.updateDataById(id, data, transaction, softDeleteOption, expectedVersion);
+      await this.#runHooks("afterUpdate", [updatedData, oldData, { transaction }]);
+      return updatedData;
+    });
+  };
 
   /**
    * Updates data in the database based on a condition.
+   * When update hooks are registered, the matching records are updated one by one so the hooks run for each of them.
    * @param {object} condition - The condition to match the records. Use an empty object to update all records.
    * @param {object} data - The new data to update in the matched records.
    * @param {Transaction|null} [transaction=null] - Optional transaction for the update operation.
@@ -82,32 +295,156 @@ class Service {
    * @example
    * const affectedRows = await service.updateDataWithCondition({ status: 'active' }, { status: 'inactive' });
    */
-  updateDataWithCondition = async (condition = {}, data = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
-    await this.#repository.updateDataWithCondition(condition, data, transaction, softDeleteOption);
+  updateDataWithCondition = async (condition = {}, data = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    if (!this.#hasHooks("beforeUpdate", "afterUpdate")) {
+      return await this.#repository.updateDataWithCondition(condition, data, transaction, softDeleteOption);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) => {
+      let records = await this.#repository.getAllData(condition, [this.#primaryKey], this.#primaryKey, "ASC", transaction, softDeleteOption);
+
+      for (let record of records) {
+        await this.updateDataById(record[this.#primaryKey], { ...data }, transaction, softDeleteOption);
+      }
+      return [records.length];
+    });
+  };
+
+  /**
+   * Updates the records with the given IDs with the same data.
+   * @param {Array<number|string>} ids - The IDs of the records to update.
+   * @param {object} data - The new data to update in the records.
+   * @param {Transaction|null} [transaction=null] - Optional transaction for the update operation.
+   * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to include soft-delete condition during the update.
+   * @returns {Promise<number>} - The number of affected rows.
+   * @example
+   * const affectedRows = await service.updateDataByIds([1, 2, 3], { status: 'inactive' });
+   */
+  updateDataByIds = async (ids, data, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
+    await this.updateDataWithCondition({ [this.#primaryKey]: { [Op.in]: ids } }, data, transaction, softDeleteOption);
+
+  /**
+   * Deletes the records with the given IDs.
+   * @param {Array<number|string>} ids - The IDs of the records to delete.
+   * @param {Transaction|null} [transaction=null] - Optional transaction for the delete operation.
+   * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply soft-delete or perform a hard delete.
+   * @param {*} [actor=null] - Who deletes the records, stored in the repository's deletedByKey column when configured.
+   * @returns {Promise<number>} - The number of affected rows.
+   * @example
+   * const deletedRows = await service.deleteDataByIds([1, 2, 3]);
+   */
+  deleteDataByIds = async (ids, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, actor = null) =>
+    await this.deleteDataWithCondition({ [this.#primaryKey]: { [Op.in]: ids } }, transaction, softDeleteOption, actor);
 
   /**
    * Deletes a record from the database by ID.
    * @param {number|string} id - The ID of the record to delete.
    * @param {Transaction|null} [transaction=null] - Optional transaction for the delete operation.
    * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply soft-delete or perform a hard delete.
+   * @param {*} [actor=null] - Who deletes the record, stored in the repository's deletedByKey column when configured.
+   * @param {number|Array<number>|null} [expectedVersion=null] - Version(s) the client last read, checked when the repository has a versionKey.
    * @returns {Promise<void>} - No return value, record is deleted.
+   * @throws {VersionConflictError} - If the record is not at the expected version.
    * @example
    * await service.deleteDataById(1);
    */
-  deleteDataById = async (id, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
-    await this.#repository.deleteDataById(id, transaction, softDeleteOption);
+  deleteDataById = async (id, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, actor = null, expectedVersion = null) => {
+    if (!this.#hasHooks("beforeDelete", "afterDelete")) {
+      return await this.#repository.deleteDataById(id, transaction, softDeleteOption, actor, expectedVersion);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) => {
+      let record = await this.#repository.getDataById(id, null, transaction, !!softDeleteOption);
+
+      // Let the repository report the missing record.
+      if (!record) {
+        return await this.#repository.deleteDataById(id, transaction, softDeleteOption, actor, expectedVersion);
+      }
+
+      let options = { transaction, actor, force: !softDeleteOption };
+      await this.#runHooks("beforeDelete", [record, options]);
+      let deleted = await this.#repository.deleteDataById(id, transaction, softDeleteOption, actor, expectedVersion);
+      await this.#runHooks("afterDelete", [record, options]);
+      return deleted;
+    });
+  };
 
   /**
    * Deletes records from the database based on a condition.
+   * When delete hooks are registered, the matching records are deleted one by one so the hooks run for each of them.
    * @param {object} condition - The condition to match the records. Use an empty object to delete all records.
    * @param {Transaction|null} [transaction=null] - Optional transaction for the delete operation.
    * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply soft-delete or perform a hard delete.
+   * @param {*} [actor=null] - Who deletes the records, stored in the repository's deletedByKey column when configured.
    * @returns {Promise<number>} - The number of affected rows.
    * @example
    * const deletedRows = await service.deleteDataWithCondition({ status: 'inactive' });
    */
-  deleteDataWithCondition = async (condition = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
-    await this.#repository.deleteDataWithCondition(condition, transaction, softDeleteOption);
+  deleteDataWithCondition = async (condition = {}, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, actor = null) => {
+    if (!this.#hasHooks("beforeDelete", "afterDelete")) {
+      return await this.#repository.deleteDataWithCondition(condition, transaction, softDeleteOption, actor);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) => {
+      let records = await this.#repository.getAllData(condition, [this.#primaryKey], this.#primaryKey, "ASC", transaction, !!softDeleteOption);
+
+      for (let record of records) {
+        await this.deleteDataById(record[this.#primaryKey], transaction, softDeleteOption, actor);
+      }
+      return records.length;
+    });
+  };
+
+  /**
+   * Restores a soft-deleted record by ID.
+   * @param {number|string} id - The ID of the record to restore.
+   * @param {Transaction|null} [transaction=null] - Optional transaction for the restore operation.
+   * @returns {Promise<object>} - The restored record.
+   * @example
+   * const restoredData = await service.restoreDataById(1);
+   */
+  restoreDataById = async (id, transaction = null) =>
+    await this.#repository.restoreDataById(id, transaction);
+
+  /**
+   * Restores the soft-deleted records matching a condition.
+   * @param {object} condition - The condition to match the records. Use an empty object to restore all soft-deleted records.
+   * @param {Transaction|null} [transaction=null] - Optional transaction for the restore operation.
+   * @returns {Promise<number>} - The number of restored rows.
+   * @example
+   * const restoredRows = await service.restoreDataWithCondition({ organizationId: 5 });
+   */
+  restoreDataWithCondition = async (condition = {}, transaction = null) =>
+    await this.#repository.restoreDataWithCondition(condition, transaction);
+
+  /**
+   * Permanently deletes a record by ID, whether it is soft deleted or not. Runs the delete hooks with `force: true`.
+   * @param {number|string} id - The ID of the record to delete.
+   * @param {Transaction|null} [transaction=null] - Optional transaction for the delete operation.
+   * @returns {Promise<boolean>} - True if the record was deleted.
+   * @example
+   * await service.forceDeleteDataById(1);
+   */
+  forceDeleteDataById = async (id, transaction = null) => {
+    if (!this.#hasHooks("beforeDelete", "afterDelete")) {
+      return await this.#repository.forceDeleteDataById(id, transaction);
+    }
+
+    return await this.#runInTransaction(transaction, async (transaction) => {
+      let record = await this.#repository.getDataById(id, null, transaction, false);
+
+      // Let the repository report the missing record.
+      if (!record) {
+        return await this.#repository.forceDeleteDataById(id, transaction);
+      }
+
+      let options = { transaction, actor: null, force: true };
+      await this.#runHooks("beforeDelete", [record, options]);
+      let deleted = await this.#repository.forceDeleteDataById(id, transaction);
+      await this.#runHooks("afterDelete", [record, options]);
+      return deleted;
+    });
+  };
 
   /**
    * Fetches a single record by its ID with specific attributes.
@@ -116,14 +453,15 @@ class Service {
    * @param {Array<string>|null} [attributes=null] - The attributes to retrieve. If null, all attributes will be fetched.
    * @param {Transaction|null} [transaction=null] - Optional transaction for the fetch operation.
    * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply the soft-delete filter.
+   * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
    * @returns {Promise<object|null>} - The fetched record with the specified attributes or null if not found.
    * 
    * @example
    * const data = await service.getDataById(1, ['name', 'email']);
    * console.log(data); // Output: { name: 'John Doe', email: 'john.doe@example.com' }
    */
-  getDataById = async (id, attributes = null, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
-    await this.#repository.getDataById(id, attributes, transaction, softDeleteOption);
+  getDataById = async (id, attributes = null, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) =>
+    await this.#applyAfterFetch(await this.#repository.getDataById(id, attributes, transaction, softDeleteOption, include), transaction);
 
 
   /**
@@ -135,6 +473,7 @@ class Service {
   * @param {string} [orderDir="DESC"] - The sorting direction for the orderBy field. Can be 'ASC' (ascending) or 'DESC' (descending). Defaults to 'DESC'.
   * @param {Transaction|null} [transaction=null] - Optional transaction object for executing the query within a database transaction.
   * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply the soft-delete condition to the query. Defaults to the class-level soft-delete setting.
+  * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
   *
   * @returns {Promise<Array<object>>} - A promise that resolves to an array of records matching the condition and selected attributes.
   *
@@ -142,8 +481,8 @@ class Service {
   * // Fetch active users, retrieving only the name and email fields, ordered by the 'createdAt' field in ascending order.
   * const filteredData = await service.getAllData({ status: 'active' }, ['name', 'email'], 'createdAt', 'ASC');
   */
-  getAllData = async (condition = {}, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
-    await this.#repository.getAllData(condition, attributes, orderBy, orderDir, transaction, softDeleteOption);
+  getAllData = async (condition = {}, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) =>
+    await this.#applyAfterFetch(await this.#repository.getAllData(condition, attributes, orderBy, orderDir, transaction, softDeleteOption, include), transaction);
 
   /**
    * Fetches a single record with specific attributes based on a condition.
@@ -153,12 +492,13 @@ class Service {
    * @param {string} [orderDir="DESC"] - The direction to order by (ASC or DESC).
    * @param {Transaction|null} [transaction=null] - Optional transaction for the fetch operation.
    * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to check for soft deletion.
+   * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
    * @returns {Promise<object|null>} - The fetched record with specified attributes, or null if not found.
    * @example
    * const data = await service.getSingleDataWithCondition({ id: 1 }, ['name', 'email']);
    */
-  getSingleDataWithCondition = async (condition = {}, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
-    await this.#repository.getSingleDataWithCondition(condition, attributes, orderBy, orderDir, transaction, softDeleteOption);
+  getSingleDataWithCondition = async (condition = {}, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) =>
+    await this.#applyAfterFetch(await this.#repository.getSingleDataWithCondition(condition, attributes, orderBy, orderDir, transaction, softDeleteOption, include), transaction);
 
 
   /**
@@ -174,6 +514,7 @@ class Service {
  * @param {Array<string>} [searchColumns=[]] - Optional array of columns to search by. If not provided, all columns will be searched.
  * @param {Transaction|null} [transaction=null] - Optional transaction object for executing the query within a database transaction.
  * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to include soft-delete conditions. Defaults to the class-level soft-delete setting.
+ * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
  *
  * @returns {Promise<object>} - A promise that resolves to an object containing the paginated data, current page, limit, total record count, and total pages.
  *
@@ -182,49 +523,102 @@ class Service {
  * const paginatedData = await service.getDataWithPagination({ name: "mangesh" }, 1, 10, ['name', 'email'], 'name', 'ASC', 'John', ['name']);
  */
 
-  getDataWithPagination = async (condition = {}, page = 1, limit = 10, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", searchBy = "", searchColumns = [], transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+  getDataWithPagination = async (condition = {}, page = 1, limit = 10, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", searchBy = "", searchColumns = [], transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) => {
 
-    if (searchBy) {
-      if (typeof searchColumns === 'string') {
-        searchColumns = JSON.parse(searchColumns);
-      }
+    condition = await this.#applySearchCondition(condition, searchBy, searchColumns);
 
-      let modelKeys = await this.#repository.getModelKeys();
+    let data = await this.#repository.getDataWithPagination(condition, +page, +limit, attributes, orderBy, orderDir, transaction, softDeleteOption, include);
 
-      let searchCondition = [];
+    let totalPages = Math.ceil(data.count / limit);
 
-      if (searchColumns.length > 0) {
-        searchColumns.forEach(column => {
-          if (modelKeys.includes(column)) {
-            searchCondition.push({
-              [column]: { [Op.like]: `%${searchBy}%` }
-            });
-          }
-        });
-      } else {
-        modelKeys.forEach(column => {
-          searchCondition.push({
-            [column]: { [Op.like]: `%${searchBy}%` }
-          });
-        });
-      }
+    return {
+      data: await this.#applyAfterFetch(data.rows, transaction),
+      currentPage: page,
+      limit,
+      totalCount: data.count,
+      totalPages,
+    };
+  };
 
-      condition[Op.or] = searchCondition;
-    }
+  /**
+   * Fetches data with keyset (cursor) pagination, with optional attributes, sorting, search functionality and transaction support.
+   * Pages stay stable when data changes between requests, and the COUNT(*) query can be skipped on large tables.
+   *
+   * @param {object} [condition={}] - The condition to filter the records. If empty, all records are fetched.
+   * @param {string|null} [cursor=null] - Opaque cursor returned by a previous call (nextCursor or prevCursor). If null, the first page is fetched.
+   * @param {number} [limit=10] - The number of records per page. Defaults to 10.
+   * @param {Array<string>|null} [attributes=null] - The list of attributes (columns) to retrieve. If null, all attributes will be fetched.
+   * @param {string} [orderBy=this.#primaryKey] - The column to order the results by. The primary key is always used as a tiebreaker.
+   * @param {string} [orderDir="DESC"] - The sorting direction for the orderBy column. Can be 'ASC' or 'DESC'. Defaults to 'DESC'.
+   * @param {string} [searchBy=""] - Optional search term to filter the data.
+   * @param {Array<string>} [searchColumns=[]] - Optional array of columns to search by. If not provided, all columns will be searched.
+   * @param {boolean} [withCount=true] - Whether to include the total record count. Set to false to skip the COUNT(*) query.
+   * @param {Transaction|null} [transaction=null] - Optional transaction object for executing the query within a database transaction.
+   * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to include soft-delete conditions. Defaults to the class-level soft-delete setting.
+   * @param {Array<string|object>|null} [include=null] - Associations to eager load (names or Sequelize include options). Soft-deleted associated rows are filtered out.
+   *
+   * @returns {Promise<object>} - A promise that resolves to an object containing the page data, limit, the cursors of the next and previous pages, and the total record count (null when skipped).
+   *
+   * @example
+   * const firstPage = await service.getDataWithCursor({}, null, 20, null, 'createdAt', 'DESC', '', [], false);
+   * const secondPage = await service.getDataWithCursor({}, firstPage.nextCursor, 20, null, 'createdAt', 'DESC', '', [], false);
+   */
+  getDataWithCursor = async (condition = {}, cursor = null, limit = 10, attributes = null, orderBy = this.#primaryKey, orderDir = "DESC", searchBy = "", searchColumns = [], withCount = true, transaction = null, softDeleteOption = this.#softDeleteDefaultValue, include = null) => {
 
-    let data = await this.#repository.getDataWithPagination(condition, +page, +limit, attributes, orderBy, orderDir, transaction, softDeleteOption);
+    condition = await this.#applySearchCondition(condition, searchBy, searchColumns);
 
-    let totalPages = Math.ceil(data.count / limit);
+    let data = await this.#repository.getDataWithCursor(condition, cursor, +limit, attributes, orderBy, orderDir, withCount, transaction, softDeleteOption, include);
 
     return {
-      data: data.rows,
-      currentPage: page,
+      data: await this.#applyAfterFetch(data.rows, transaction),
       limit,
+      nextCursor: data.nextCursor,
+      prevCursor: data.prevCursor,
       totalCount: data.count,
-      totalPages,
     };
   };
 
+  /**
+   * Processes the matching records in keyset batches, without loading the whole table or counting it.
+   * The afterFetch hooks run on every record before its batch is passed to the callback.
+   *
+   * @param {object} [condition={}] - The condition to filter the records. If empty, all records are processed.
+   * @param {object|null} [options=null] - Iteration options: batchSize (1000), orderBy (the primary key), orderDir ("ASC"), attributes and include.
+   * @param {Function} callback - Async function called with each batch (an array of records) and its index. Returning false stops the iteration.
+   * @param {Transaction|null} [transaction=null] - Optional transaction object; defaults to the transaction of the enclosing withTransaction call.
+   * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to include soft-delete conditions. Defaults to the class-level soft-delete setting.
+   * @returns {Promise<number>} - The number of records processed.
+   * @example
+   * await service.eachBatch({ status: 'pending' }, { batchSize: 500 }, async (users) => await notifyUsers(users));
+   */
+  eachBatch = async (condition = {}, options = null, callback, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
+    await this.#repository.eachBatch(condition, options, async (batch, index) => await callback(await this.#applyAfterFetch(batch, transaction), index), transaction, softDeleteOption);
+
+  /**
+   * Iterates over the matching records one by one, reading them in keyset batches (see eachBatch).
+   * The afterFetch hooks run on every record. Leaving the loop early stops the reads.
+   *
+   * @param {object} [condition={}] - The condition to filter the records. If empty, all records are iterated.
+   * @param {object|null} [options=null] - Iteration options, as for eachBatch.
+   * @param {Transaction|null} [transaction=null] - Optional transaction object; defaults to the transaction of the enclosing withTransaction call.
+   * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to include soft-delete conditions. Defaults to the class-level soft-delete setting.
+   * @returns {AsyncGenerator<object>} - The records.
+   * @example
+   * for await (const user of service.iterate({}, { orderBy: 'createdAt' })) {
+   *   await reindexUser(user);
+   * }
+   */
+  iterate = (condition = {}, options = null, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) => {
+    let records = this.#repository.iterate(condition, options, transaction, softDeleteOption);
+    let applyAfterFetch = this.#applyAfterFetch;
+
+    return (async function* () {
+      for await (let record of records) {
+        yield await applyAfterFetch(record, transaction);
+      }
+    })();
+  };
+
   /**
    * Checks if data exists in the database based on the provided condition.
    * @param {object} condition - The condition to match the records. Use an empty object to fetch all records.
@@ -262,6 +656,54 @@ class Service {
    */
   getModelKeys = async () => await this.#repository.getModelKeys();
 
+  /**
+   * Retrieves the name of the model.
+   * @returns {string} - The model name.
+   * @example
+   * const modelName = service.getModelName(); // 'User'
+   */
+  getModelName = () => this.#repository.getModelName();
+
+  /**
+   * Retrieves the attribute definitions of the model (types, nullability, defaults, ...).
+   * @returns {object} - The model attribute definitions keyed by attribute name.
+   * @example
+   * const attributes = service.getModelAttributes();
+   */
+  getModelAttributes = () => this.#repository.getModelAttributes();
+
+  /**
+   * Retrieves the default value of every model attribute (null when the attribute has none).
+   * @returns {object} - The default values keyed by attribute name.
+   * @example
+   * const defaults = service.getDefaultValues(); // { name: null, role: 'user', ... }
+   */
+  getDefaultValues = () => this.#repository.getDefaultValues();
+
+  /**
+   * Retrieves the fields that can never be written by clients (primary key, soft-delete key, timestamps).
+   * @returns {Array<string>} - The read-only field names.
+   * @example
+   * const readOnlyFields = service.getReadOnlyFields(); // ['userId', 'deleteFlag', 'createdAt', 'updatedAt']
+   */
+  getReadOnlyFields = () => this.#repository.getReadOnlyFields();
+
+  /**
+   * Parses a declarative filter (e.g. `filter[age][gte]=18&filter[status][in]=a,b`) into a condition
+   * usable by getAllData, getDataWithPagination and the other condition-based methods.
+   * Values are coerced using the model attribute types.
+   *
+   * @param {object|string} filter - The filter object as parsed from the query string, or its JSON string.
+   * @param {Array<string>|null} [filterableColumns=null] - Allowlist of filterable columns. If null, no column can be filtered.
+   * @returns {object} - The Sequelize `where` condition.
+   * @throws {HttpError} - 400 "InvalidFilter" if a column, operator or value is not valid.
+   * @example
+   * const condition = service.getFilterCondition(req.query.filter, ['age', 'status']);
+   * const data = await service.getAllData(condition);
+   */
+  getFilterCondition = (filter, filterableColumns = null) =>
+    buildFilterCondition(filter, this.#repository.getModelAttributes(), filterableColumns);
+
   /**
    * Retrieves the maximum value of a specific field based on the provided condition.
    *
@@ -280,6 +722,23 @@ class Service {
   getMaxData = async (condition = {}, field = this.#primaryKey, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
     await this.#repository.getMaxData(condition, field, transaction, softDeleteOption);
 
+  /**
+   * Computes an aggregate (sum, avg, min, max or count) of the matching records, optionally per group.
+   *
+   * @param {object} [condition={}] - The condition to filter the records. If empty, all records are considered.
+   * @param {object} options - The aggregation options: fn, field, groupBy, having and order (see Repository.aggregate).
+   * @param {Transaction|null} [transaction=null] - Optional transaction object for executing the query within a database transaction.
+   * @param {boolean} [softDeleteOption=this.#softDeleteDefaultValue] - Whether to apply soft-delete filtering during the operation. Defaults to the class-level soft-delete setting.
+   *
+   * @returns {Promise<*|Array<object>>} - The aggregated value or, with groupBy, one object per group holding the groupBy attributes and the aggregated `value`.
+   *
+   * @example
+   * // Average age of the active users per role.
+   * const averageAges = await service.aggregate({ status: 'active' }, { fn: 'avg', field: 'age', groupBy: ['role'] });
+   */
+  aggregate = async (condition = {}, options = null, transaction = null, softDeleteOption = this.#softDeleteDefaultValue) =>
+    await this.#repository.aggregate(condition, options, transaction, softDeleteOption);
+
   /**
    * Retrieves the name of the primary key field for the model.
    * @returns {string} - The name of the primary key field.
@@ -288,6 +747,192 @@ class Service {
    */
   getPrimaryKeyField = () => this.#primaryKey;
 
+  /**
+   * Retrieves the column used for optimistic concurrency control.
+   * @returns {string|null} - The version key, or null if versioning is not configured.
+   * @example
+   * const versionKey = service.getVersionKey(); // 'version'
+   */
+  getVersionKey = () => this.#repository.getVersionKey();
+
+  /**
+   * Retrieves the audit entries of a record, most recent first. Requires the `auditTrail` repository option.
+   * @param {number|string} id - The ID of the record.
+   * @param {Transaction|null} [transaction=null] - Optional transaction object.
+   * @returns {Promise<Array<object>>} - The audit entries (action, before, after, actor, createdAt).
+   * @example
+   * const history = await service.getAuditHistory(1);
+   */
+  getAuditHistory = async (id, transaction = null) => await this.#repository.getAuditHistory(id, transaction);
+
+  /**
+   * Invalidates every cached read of the repository (see the `cache` repository option).
+   * Writes made through the repository invalidate the cache on their own.
+   * @returns {Promise<void>}
+   * @example
+   * await service.clearCache();
+   */
+  clearCache = async () => await this.#repository.clearCache();
+
+  /**
+   * Retrieves the default value used for soft delete operations.
+   * @returns {boolean} - The default soft delete option value.
+   * @example
+   * const softDeleteOption = service.getSoftDeleteOption();
+   */
+  getSoftDeleteOption = () => this.#softDeleteDefaultValue;
+
+  /**
+   * Checks whether at least one hook is registered under one of the given names.
+   * @param {...string} names - The hook names.
+   * @returns {boolean} - True if a hook is registered.
+   */
+  #hasHooks = (...names) => names.some(name => this.#hooks[name].length > 0);
+
+  /**
+   * Runs the hooks registered under a name, in order. A hook that throws is logged with the logger of the repository.
+   * @param {string} name - The hook name.
+   * @param {Array<*>} args - The hook arguments.
+   * @param {number|null} [valueIndex=null] - Index of the argument a hook may replace by returning a value other than undefined.
+   * @returns {Promise<*>} - The (possibly replaced) argument at valueIndex.
+   */
+  #runHooks = async (name, args, valueIndex = null) => {
+    for (let hook of this.#hooks[name]) {
+      let result;
+
+      try {
+        result = await hook(...args);
+      } catch (error) {
+        this.#logger?.warn({ model: this.#repository.getModelName(), hook: name, errorClass: error?.constructor?.name }, `${name} hook failed`);
+        throw error;
+      }
+
+      if (valueIndex !== null && result !== undefined) {
+        args[valueIndex] = result;
+      }
+    }
+
+    return valueIndex !== null ? args[valueIndex] : undefined;
+  };
+
+  /**
+   * Runs a callback in the given transaction, the active one, or a new managed transaction when there is none.
+   * @param {Transaction|null} transaction - The explicitly passed transaction, if any.
+   * @param {Function} callback - Async function receiving the transaction.
+   * @returns {Promise<*>} - The value returned by the callback.
+   */
+  #runInTransaction = async (transaction, callback) => {
+    if (transaction) {
+      return await runWithContext({ transaction }, () => callback(transaction));
+    }
+
+    if (getCurrentTransaction()) {
+      return await callback(getCurrentTransaction());
+    }
+
+    return await this.withTransaction(callback);
+  };
+
+  /**
+   * Upserts a record with saveData or updateDataById, so that the lifecycle hooks run. Must be called in a transaction.
+   * Like the repository upsert, a soft-deleted record matching the conflict fields is restored with the new data,
+   * and conflict fields matching a row of another tenant throw 409 "DataExists".
+   * @param {object} data - The data to be saved.
+   * @param {Array<string>} conflictFields - Fields identifying the record.
+   * @param {Array<string>|null} updateFields - Fields updated on an existing record. If null, every given field.
+   * @param {Transaction} transaction - The active transaction.
+   * @returns {Promise<{data: object, created: boolean}>} - The saved record and whether it was created.
+   */
+  #upsertWithHooks = async (data, conflictFields, updateFields, transaction) => {
+    let existData = null;
+
+    if (conflictFields.every(field => data[field] !== undefined)) {
+      let condition = Object.fromEntries(conflictFields.map(field => [field, data[field]]));
+      existData = await this.#repository.getSingleDataWithCondition({ ...condition }, null, this.#primaryKey, "DESC", transaction, Repository.WITH_TRASHED);
+
+      // As in the repository upsert, a row of another tenant is reported as a conflict, before the create hooks run.
+      if (!existData && this.#repository.getTenantKey()
+        && await runWithContext({ tenantId: Repository.ALL_TENANTS }, () => this.#repository.dataExists(condition, transaction, false))) {
+        throw new HttpError(409, "DataExists");
+      }
+    }
+
+    if (!existData) {
+      return { data: await this.saveData(data, transaction), created: true };
+    }
+
+    let values = updateFields ? Object.fromEntries(updateFields.filter(field => field in data).map(field => [field, data[field]])) : data;
+    values = { ...values, ...this.#repository.getRestoreValues() };
+    return { data: await this.updateDataById(existData[this.#primaryKey], values, transaction, Repository.WITH_TRASHED), created: false };
+  };
+
+  /**
+   * Runs the afterFetch hooks on fetched data.
+   * @param {object|Array<object>|null} data - A record, a list of records or null.
+   * @param {Transaction|null} transaction - The transaction used for the fetch.
+   * @returns {Promise<object|Array<object>|null>} - The data returned by the hooks.
+   */
+  #applyAfterFetch = async (data, transaction) => {
+    if (data == null || !this.#hasHooks("afterFetch")) {
+      return data;
+    }
+
+    let options = { transaction: transaction || getCurrentTransaction() };
+
+    if (!Array.isArray(data)) {
+      return await this.#runHooks("afterFetch", [data, options], 0);
+    }
+
+    let records = [];
+    for (let record of data) {
+      records.push(await this.#runHooks("afterFetch", [record, options], 0));
+    }
+    return records;
+  };
+
+  /**
+   * Adds the search condition (LIKE on the given columns, or on every column) to a condition.
+   * @param {object} condition - The condition to extend.
+   * @param {string} searchBy - The search term. If empty, the condition is returned unchanged.
+   * @param {Array<string>|string} searchColumns - The columns to search, or their JSON string.
+   * @returns {Promise<object>} - The extended condition.
+   */
+  #applySearchCondition = async (condition, searchBy, searchColumns) => {
+    if (condition == null) {
+      condition = {};
+    }
+
+    if (searchBy) {
+      if (typeof searchColumns === 'string') {
+        searchColumns = JSON.parse(searchColumns);
+      }
+
+      let modelKeys = await this.#repository.getModelKeys();
+
+      let searchCondition = [];
+
+      if (searchColumns.length > 0) {
+        searchColumns.forEach(column => {
+          if (modelKeys.includes(column)) {
+            searchCondition.push({
+              [column]: { [Op.like]: `%${searchBy}%` }
+            });
+          }
+        });
+      } else {
+        modelKeys.forEach(column => {
+          searchCondition.push({
+            [column]: { [Op.like]: `%${searchBy}%` }
+          });
+        });
+      }
+
+      condition[Op.or] = searchCondition;
+    }
+
+    return condition;
+  };
+
 }
 
 module.exports = Service;